@@ -0,0 +1,330 @@
+/**
+ * A/B/X comparison of two limiter settings against the dry signal
+ * Runs three limiters in parallel from the same source (A, B, and a bypassed one for dry),
+ * so switching is an instant gain crossfade between paths that are all already playing.
+ * Paths are delayed to the same latency and can be loudness-matched, so the louder
+ * option doesn't win just for being louder. Blind X trials hide whether A or B is playing.
+ */
+import { VoiceVolumeNormalizer } from './audio-processor.js';
+import { LIMITER_WORKLET_URL } from './limiter-node.js';
+import { LoudnessMeter } from './loudness-meter.js';
+import { ParameterError } from './errors.js';
+
+export const AB_OPTIONS = Object.freeze(['A', 'B', 'dry']);
+
+const SWITCH_FADE_TIME = 10;       // ms - short enough to feel instant, long enough not to click
+const MATCH_TIME_CONSTANT = 0.5;   // s - loudness-match gains glide to new values
+const MATCH_STEP = 0.1;            // dB - smaller loudness-match changes aren't rescheduled
+const MAX_ALIGN_DELAY = 0.05;      // s - the worklet's largest lookahead
+const ALIGN_TIME_CONSTANT = 0.005; // s - delay changes glide (like the worklet's lookahead crossfade) instead of clicking
+
+export class ABComparator extends EventTarget {
+  constructor({ channelCount = 2, workletUrl = LIMITER_WORKLET_URL } = {}) {
+    super();
+    this.audioCtx = null;
+    this.sourceNode = null;
+    this.destinationNode = null;
+    this.channelCount = channelCount;
+    this.workletUrl = workletUrl;
+
+    // Per option: { normalizer, delay, matchGain, selectGain, meter, matchDb }
+    this.paths = {};
+    this.selected = 'A';          // 'A' | 'B' | 'dry' | 'X'
+    this.isLoudnessMatched = true;
+
+    // Blind trial state: the option X stands for (null when no trial is running)
+    this.blindOption = null;
+    this.score = { trials: 0, correct: 0 };
+  }
+
+  /**
+   * Build the three parallel paths from sourceNode into destinationNode
+   * settings.A and settings.B take the same values as VoiceVolumeNormalizer.updateParameters
+   * If any path fails, the ones already built are torn down and initialize() can be retried
+   */
+  async initialize(audioContext, sourceNode, destinationNode = audioContext.destination, { A = {}, B = {} } = {}) {
+    if (this.audioCtx) return;
+
+    const settings = { A, B, dry: {} };
+    const paths = {};
+    try {
+      for (const option of AB_OPTIONS) {
+        const normalizer = new VoiceVolumeNormalizer(undefined, {
+          channelCount: this.channelCount,
+          workletUrl: this.workletUrl,
+        });
+        paths[option] = {
+          normalizer,
+          delay: null,
+          matchGain: null,
+          selectGain: null,
+          meter: new LoudnessMeter(),
+          matchDb: 0, // gain the match is gliding to
+        };
+        normalizer.updateParameters(settings[option]);
+        await normalizer.initialize(audioContext);
+
+        // Dry runs through a bypassed limiter, so it is delayed and measured just like A and B
+        if (option === 'dry') {
+          normalizer.setBypass(true, { fadeTime: 0 });
+        }
+
+        const path = paths[option];
+        path.delay = new DelayNode(audioContext, { maxDelayTime: MAX_ALIGN_DELAY });
+        path.matchGain = new GainNode(audioContext);
+        path.selectGain = new GainNode(audioContext, { gain: option === this.resolveOption(this.selected) ? 1 : 0 });
+
+        normalizer.addEventListener('loudness', (event) => {
+          path.meter.addBlock(event.detail.power);
+          this.updateLoudnessMatch();
+        });
+
+        normalizer.enable(sourceNode, path.delay);
+        path.delay.connect(path.matchGain);
+        path.matchGain.connect(path.selectGain);
+        path.selectGain.connect(destinationNode);
+      }
+    } catch (error) {
+      this.releasePaths(paths, sourceNode);
+      throw error;
+    }
+
+    // Another call may have finished building while the worklets loaded
+    if (this.audioCtx) {
+      this.releasePaths(paths, sourceNode);
+      return;
+    }
+
+    this.audioCtx = audioContext;
+    this.sourceNode = sourceNode;
+    this.destinationNode = destinationNode;
+    this.paths = paths;
+    this.alignLatency({ immediate: true });
+  }
+
+  /**
+   * The path an option plays ('X' plays the hidden blind option)
+   */
+  resolveOption(option) {
+    return option === 'X' ? this.blindOption : option;
+  }
+
+  /**
+   * Listen to 'A', 'B', 'dry' or 'X' (during a blind trial)
+   * Crossfades in SWITCH_FADE_TIME; the paths are time-aligned, so the fade doesn't comb or click
+   */
+  select(option) {
+    if (option !== 'X' && !AB_OPTIONS.includes(option)) {
+      throw new ParameterError('option', option, `one of ${AB_OPTIONS.join(', ')} or X`);
+    }
+    if (option === 'X' && this.blindOption === null) {
+      throw new ParameterError('option', option, 'A, B or dry (start a blind trial before selecting X)');
+    }
+
+    this.selected = option;
+    if (!this.audioCtx) return;
+
+    const playing = this.resolveOption(option);
+    const now = this.audioCtx.currentTime;
+    for (const [name, path] of Object.entries(this.paths)) {
+      const param = path.selectGain.gain;
+      if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(now);
+      } else {
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+      }
+      param.linearRampToValueAtTime(name === playing ? 1 : 0, now + SWITCH_FADE_TIME / 1000);
+    }
+
+    this.dispatchEvent(new CustomEvent('select', { detail: { option } }));
+  }
+
+  /**
+   * Change the settings of option A or B
+   */
+  setSettings(option, params) {
+    if (option !== 'A' && option !== 'B') {
+      throw new ParameterError('option', option, 'A or B (only they have settings)');
+    }
+
+    const path = this.paths[option];
+    if (!path) return;
+
+    path.normalizer.updateParameters(params);
+    if (params.lookaheadTime !== undefined) {
+      this.alignLatency();
+    }
+
+    // Loudness is compared over the same stretch of audio for every path, so start all meters again
+    for (const { meter } of Object.values(this.paths)) {
+      meter.reset();
+    }
+    this.updateLoudnessMatch();
+  }
+
+  /**
+   * Current settings of option A or B (null before initialize)
+   */
+  getSettings(option) {
+    const path = this.paths[option];
+    return path ? path.normalizer.getParameters() : null;
+  }
+
+  /**
+   * Delay every path to the latency of the slowest one, so switching never jumps in time
+   * Changes glide while audio plays; immediate sets them at once (before anything is playing)
+   */
+  alignLatency({ immediate = false } = {}) {
+    const paths = Object.values(this.paths);
+    if (paths.length === 0) return;
+
+    const latencies = paths.map((path) => path.normalizer.getLatency().samples);
+    const maxLatency = Math.max(...latencies);
+    const now = this.audioCtx.currentTime;
+
+    paths.forEach((path, i) => {
+      const param = path.delay.delayTime;
+      const delayTime = (maxLatency - latencies[i]) / this.audioCtx.sampleRate;
+      param.cancelScheduledValues(now);
+      if (immediate) {
+        param.setValueAtTime(delayTime, now);
+      } else {
+        param.setTargetAtTime(delayTime, now, ALIGN_TIME_CONSTANT);
+      }
+    });
+  }
+
+  /**
+   * Latency every path is aligned to
+   */
+  getLatency() {
+    const paths = Object.values(this.paths);
+    if (paths.length === 0) return null;
+
+    const samples = Math.max(...paths.map((path) => path.normalizer.getLatency().samples));
+    return { samples, ms: (samples / this.audioCtx.sampleRate) * 1000 };
+  }
+
+  /**
+   * Turn loudness matching on or off
+   */
+  setLoudnessMatching(enabled) {
+    this.isLoudnessMatched = enabled;
+    this.updateLoudnessMatch();
+  }
+
+  /**
+   * Integrated loudness of each path since the last settings change (null until measured)
+   */
+  getLoudness() {
+    const loudness = {};
+    for (const [name, path] of Object.entries(this.paths)) {
+      loudness[name] = path.meter.getIntegrated();
+    }
+    return loudness;
+  }
+
+  /**
+   * Turn every path down to the loudness of the quietest one (never up, so nothing clips)
+   * Runs for every loudness block, so the gains are only rescheduled when the match actually moves
+   */
+  updateLoudnessMatch() {
+    if (!this.audioCtx) return;
+
+    const loudness = this.getLoudness();
+    const measured = Object.values(loudness).filter((lufs) => lufs !== null && Number.isFinite(lufs));
+    const reference = Math.min(...measured);
+    const now = this.audioCtx.currentTime;
+
+    for (const [name, path] of Object.entries(this.paths)) {
+      const lufs = loudness[name];
+      const matchDb = this.isLoudnessMatched && lufs !== null && Number.isFinite(lufs)
+        ? reference - lufs
+        : 0;
+      if (Math.abs(matchDb - path.matchDb) < MATCH_STEP) continue;
+
+      // Replace the glide still to come instead of piling another one on the timeline
+      path.matchDb = matchDb;
+      path.matchGain.gain.cancelScheduledValues(now);
+      path.matchGain.gain.setTargetAtTime(Math.pow(10, matchDb / 20), now, MATCH_TIME_CONSTANT);
+    }
+  }
+
+  /**
+   * Start a blind trial: X becomes A or B at random
+   * Keeps playing X if it was selected, so the new trial starts straight away
+   */
+  startBlindTrial() {
+    this.blindOption = Math.random() < 0.5 ? 'A' : 'B';
+    if (this.selected === 'X') {
+      this.select('X');
+    }
+  }
+
+  /**
+   * Answer the running blind trial with 'A' or 'B'
+   * Returns { correct, answer, score }, or null if no trial is running
+   */
+  guess(option) {
+    if (this.blindOption === null) return null;
+
+    const answer = this.blindOption;
+    const correct = option === answer;
+    this.score = {
+      trials: this.score.trials + 1,
+      correct: this.score.correct + (correct ? 1 : 0),
+    };
+
+    // X has been revealed, so keep playing what it was
+    if (this.selected === 'X') {
+      this.select(answer);
+    }
+    this.blindOption = null;
+
+    const result = { correct, answer, score: { ...this.score } };
+    this.dispatchEvent(new CustomEvent('guess', { detail: result }));
+    return result;
+  }
+
+  /**
+   * Clear the blind trial score
+   */
+  resetScore() {
+    this.score = { trials: 0, correct: 0 };
+  }
+
+  /**
+   * Tear down a set of paths, including ones only partly built
+   */
+  releasePaths(paths, sourceNode) {
+    for (const path of Object.values(paths)) {
+      // destroy() reconnects the source to the path as a bypass, so undo that too
+      path.normalizer.destroy();
+      if (path.delay) {
+        try {
+          sourceNode.disconnect(path.delay);
+        } catch (e) {
+          // Ignore if already disconnected
+        }
+      }
+
+      for (const node of [path.delay, path.matchGain, path.selectGain]) {
+        if (node) node.disconnect();
+      }
+    }
+  }
+
+  /**
+   * Tear down all three paths (the source and destination are left to the caller)
+   */
+  destroy() {
+    this.releasePaths(this.paths, this.sourceNode);
+
+    this.paths = {};
+    this.blindOption = null;
+    this.audioCtx = null;
+    this.sourceNode = null;
+    this.destinationNode = null;
+  }
+}
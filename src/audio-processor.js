@@ -1,68 +1,386 @@
 /**
  * AudioWorklet-based voice volume normalizer with lookahead limiting
- * Uses hard limiting without gain boost - runs at audio rate (48kHz)
+ * Uses hard limiting, with optional upward normalization of quiet voices - runs at the AudioContext's own sample rate
+ * Dispatches 'telemetry' events with the worklet's actual gain reduction,
+ * and 'statechange' events as it moves through its lifecycle
  */
-class VoiceVolumeNormalizer {
-  constructor(threshold) {
+import { LimiterNode, LIMITER_WORKLET_URL } from './limiter-node.js';
+import { ParameterError, StateError, InitializationError } from './errors.js';
+
+// Ratio at which the clamp acts as ∞:1 (matches the worklet's ratio param maximum)
+export const MAX_RATIO = 100;
+
+// How long setBypass() crossfades between the limited and dry signals
+const DEFAULT_BYPASS_FADE_TIME = 20; // ms
+
+// Multiband mode (bandCount 1 = broadband only), crossovers in Hz - the first bandCount - 1 are used
+export const MAX_BANDS = 4;
+export const DEFAULT_CROSSOVERS = Object.freeze([200, 1000, 4000]);
+
+// Default settings, in the units updateParameters takes (dB and ms)
+export const DEFAULT_PARAMETERS = Object.freeze({
+  threshold: -20,
+  knee: 0, // dB, 0 = hard knee
+  ratio: MAX_RATIO, // ∞:1
+  floor: -40, // dB, upward normalization target
+  maxBoost: 0, // dB, 0 = upward normalization off
+  gateThreshold: -60, // dB, never boost below this
+  attackTime: 15,
+  releaseTime: 80,
+  rmsWindow: 5,
+  lookaheadTime: 10,
+  mix: 100, // % of the limited signal, lower for parallel limiting
+  detectionMode: 'rms', // 'rms' | 'peak' | 'true-peak' | 'loudness'
+  channelMode: 'linked-max', // 'linked-max' | 'linked-sum' | 'independent'
+  thresholdMode: 'fixed', // 'fixed' | 'adaptive' (follows the speech level)
+  adaptiveOffset: 6, // dB above the speech level
+  minThreshold: -40, // dB, adaptive threshold bounds
+  maxThreshold: -10,
+  adaptationTime: 10000, // ms, how slowly the speech level is followed
+});
+
+// Range of every numeric setting, in the units updateParameters takes - values outside are clamped
+// (matches the worklet's AudioParam ranges)
+export const PARAMETER_RANGES = Object.freeze({
+  threshold: Object.freeze([-100, 0]),
+  knee: Object.freeze([0, 24]),
+  ratio: Object.freeze([1, MAX_RATIO]),
+  floor: Object.freeze([-100, 0]),
+  maxBoost: Object.freeze([0, 40]),
+  gateThreshold: Object.freeze([-100, 0]),
+  attackTime: Object.freeze([0.1, 1000]),
+  releaseTime: Object.freeze([0.1, 5000]),
+  rmsWindow: Object.freeze([0.5, 100]),
+  lookaheadTime: Object.freeze([0, 50]),
+  mix: Object.freeze([0, 100]),
+  bypassFadeTime: Object.freeze([0, 10000]),
+  telemetryInterval: Object.freeze([0, 10000]),
+  adaptiveOffset: Object.freeze([-20, 40]),
+  minThreshold: Object.freeze([-100, 0]),
+  maxThreshold: Object.freeze([-100, 0]),
+  adaptationTime: Object.freeze([100, 600000]),
+  bandCount: Object.freeze([1, MAX_BANDS]),
+  crossovers: Object.freeze([20, 20000]), // Hz, each crossover
+});
+
+// Allowed values of the settings that are a choice
+export const PARAMETER_CHOICES = Object.freeze({
+  detectionMode: Object.freeze(['rms', 'peak', 'true-peak', 'loudness']),
+  channelMode: Object.freeze(['linked-max', 'linked-sum', 'independent']),
+  thresholdMode: Object.freeze(['fixed', 'adaptive']),
+  detectionSource: Object.freeze(['internal', 'external']),
+});
+
+// Band settings share their ranges with the broadband ones of the same name
+const BAND_SETTINGS = ['threshold', 'attackTime', 'releaseTime'];
+
+// Lifecycle: uninitialized -> loading -> ready <-> active, and destroyed from any of them
+// initialize() starts over from uninitialized or destroyed, or moves everything to a new AudioContext
+export const NORMALIZER_STATES = Object.freeze(['uninitialized', 'loading', 'ready', 'active', 'interrupted', 'destroyed']);
+
+/**
+ * Clamp a numeric setting to its range, throwing for anything that isn't a number (including NaN)
+ */
+function clampSetting(name, value, [min, max]) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new ParameterError(name, value, `a number from ${min} to ${max}`);
+  }
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Check an array setting entry by entry (holes and null entries stay empty, meaning "unchanged")
+ */
+function validateList(name, value, validateEntry) {
+  if (!Array.isArray(value)) {
+    throw new ParameterError(name, value, 'an array');
+  }
+  return Array.from(value, (entry, i) => (entry === undefined || entry === null ? undefined : validateEntry(entry, i)));
+}
+
+/**
+ * Check one band's settings
+ */
+function validateBand(band, index) {
+  if (typeof band !== 'object') {
+    throw new ParameterError(`bands[${index}]`, band, 'an object of band settings');
+  }
+
+  const clean = {};
+  for (const name of BAND_SETTINGS) {
+    if (band[name] !== undefined) {
+      clean[name] = clampSetting(`bands[${index}].${name}`, band[name], PARAMETER_RANGES[name]);
+    }
+  }
+  return clean;
+}
+
+/**
+ * Check a set of settings as updateParameters takes them, clamping numbers to PARAMETER_RANGES
+ * Returns the cleaned settings (unknown names are left out), or throws a ParameterError
+ * for the first unusable value - nothing is applied from a set that fails
+ */
+export function validateParameters(params) {
+  if (!params || typeof params !== 'object') {
+    throw new ParameterError('params', params, 'an object of settings');
+  }
+
+  const clean = {};
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+
+    if (name === 'crossovers') {
+      clean.crossovers = validateList(name, value, (frequency, i) => clampSetting(`crossovers[${i}]`, frequency, PARAMETER_RANGES.crossovers));
+    } else if (name === 'bands') {
+      clean.bands = validateList(name, value, validateBand);
+    } else if (name === 'bandCount') {
+      clean.bandCount = Math.round(clampSetting(name, value, PARAMETER_RANGES.bandCount));
+    } else if (name in PARAMETER_RANGES) {
+      clean[name] = clampSetting(name, value, PARAMETER_RANGES[name]);
+    } else if (name in PARAMETER_CHOICES) {
+      if (!PARAMETER_CHOICES[name].includes(value)) {
+        throw new ParameterError(name, value, `one of ${PARAMETER_CHOICES[name].join(', ')}`);
+      }
+      clean[name] = value;
+    }
+  }
+  return clean;
+}
+
+/**
+ * Static gain computer, mirrors the worklet's so the transfer curve can be drawn on the main thread
+ * Returns the gain change (dB) for an input level: <= 0 above the threshold,
+ * > 0 when upward normalization lifts quiet audio toward the floor
+ */
+export function computeGainDb(levelDb, { threshold, knee, ratio, floor, maxBoost, gateThreshold }) {
+  const slope = ratio >= MAX_RATIO ? 1 : 1 - 1 / ratio;
+  const overshoot = levelDb - threshold;
+
+  if (2 * overshoot < -knee) {
+    if (maxBoost <= 0 || levelDb <= gateThreshold) return 0;
+    return Math.max(0, Math.min(floor - levelDb, maxBoost, threshold - levelDb));
+  }
+  if (knee > 0 && 2 * Math.abs(overshoot) <= knee) {
+    const kneeOvershoot = overshoot + knee / 2;
+    return (-slope * kneeOvershoot * kneeOvershoot) / (2 * knee);
+  }
+  return -slope * overshoot;
+}
+
+export class VoiceVolumeNormalizer extends EventTarget {
+  /**
+   * channelCount sets the number of output channels (e.g. 6 for 5.1 game audio)
+   * workletUrl overrides where limiter-worklet.js is loaded from (a path or a Blob URL)
+   */
+  constructor(threshold = DEFAULT_PARAMETERS.threshold, { channelCount = 2, workletUrl = LIMITER_WORKLET_URL } = {}) {
+    super();
+    if (!Number.isInteger(channelCount) || channelCount < 1 || channelCount > 32) {
+      throw new ParameterError('channelCount', channelCount, 'a whole number from 1 to 32');
+    }
+
+    this.state = 'uninitialized';
+    this.initializing = null; // pending load while 'loading'
+    this.contextStateListener = null;
     this.audioCtx = null;
     this.sourceNode = null;
     this.destinationNode = null;
     this.limiterNode = null;
-    this.threshold = threshold;
-    this.attackTime = 15; // ms
-    this.releaseTime = 80; // ms
-    this.rmsWindow = 5; // ms
-    this.isActive = false;
-    this.isWorkletLoaded = false;
+    this.streamSourceNode = null;
+    this.streamDestinationNode = null;
+    this.threshold = validateParameters({ threshold }).threshold;
+    this.knee = DEFAULT_PARAMETERS.knee; // dB
+    this.ratio = DEFAULT_PARAMETERS.ratio;
+    this.floor = DEFAULT_PARAMETERS.floor; // dB
+    this.maxBoost = DEFAULT_PARAMETERS.maxBoost; // dB
+    this.gateThreshold = DEFAULT_PARAMETERS.gateThreshold; // dB
+    this.attackTime = DEFAULT_PARAMETERS.attackTime; // ms
+    this.releaseTime = DEFAULT_PARAMETERS.releaseTime; // ms
+    this.rmsWindow = DEFAULT_PARAMETERS.rmsWindow; // ms
+    this.lookaheadTime = DEFAULT_PARAMETERS.lookaheadTime; // ms
+    this.mix = DEFAULT_PARAMETERS.mix; // %
+    this.bypassFadeTime = DEFAULT_BYPASS_FADE_TIME; // ms
+    this.isBypassed = false;
+    this.detectionMode = DEFAULT_PARAMETERS.detectionMode;
+    this.channelMode = DEFAULT_PARAMETERS.channelMode;
+    this.thresholdMode = DEFAULT_PARAMETERS.thresholdMode;
+    this.adaptiveOffset = DEFAULT_PARAMETERS.adaptiveOffset; // dB
+    this.minThreshold = DEFAULT_PARAMETERS.minThreshold; // dB
+    this.maxThreshold = DEFAULT_PARAMETERS.maxThreshold; // dB
+    this.adaptationTime = DEFAULT_PARAMETERS.adaptationTime; // ms
+    this.bandCount = 1;
+    this.crossovers = DEFAULT_CROSSOVERS.slice(); // Hz
+    this.bands = Array.from({ length: MAX_BANDS }, () => ({
+      threshold: DEFAULT_PARAMETERS.threshold, // dB
+      attackTime: DEFAULT_PARAMETERS.attackTime, // ms
+      releaseTime: DEFAULT_PARAMETERS.releaseTime, // ms
+    }));
+    this.detectionSource = 'internal'; // 'internal' | 'external' (sidechain)
+    this.sidechainNode = null;
+    this.channelCount = channelCount;
+    this.workletUrl = workletUrl;
+    this.telemetryInterval = 20; // ms, 0 disables telemetry
+    this.telemetry = null; // latest report from the worklet
+  }
+
+  /**
+   * True while audio is routed through the limiter
+   */
+  get isActive() {
+    return this.state === 'active';
+  }
+
+  /**
+   * True once the worklet is loaded and the limiter node exists
+   */
+  get isWorkletLoaded() {
+    return this.state === 'ready' || this.state === 'active' || this.state === 'interrupted';
+  }
+
+  /**
+   * Move to a lifecycle state and announce it as a 'statechange' event
+   * reason says why when it wasn't a method call (e.g. 'context-closed')
+   */
+  setState(state, reason = null) {
+    if (state === this.state) return;
+
+    const previousState = this.state;
+    this.state = state;
+    this.dispatchEvent(new CustomEvent('statechange', { detail: { state, previousState, reason } }));
+  }
+
+  /**
+   * Announce a failure as an 'error' event (detail.error is a NormalizerError)
+   */
+  reportError(error) {
+    this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
   }
 
   /**
    * Initialize with an audio context and load the AudioWorklet module
+   * Calling again with the same context is a no-op (or waits for the load in progress);
+   * a different context tears down the old graph and builds the limiter there instead
+   * Rejects with a StateError coded 'initialization-superseded' when destroy() or another context cuts the load short
    */
   async initialize(audioContext) {
-    if (this.audioCtx) return;
+    if (!audioContext || !audioContext.audioWorklet) {
+      throw new ParameterError('audioContext', audioContext, 'an AudioContext or OfflineAudioContext');
+    }
+    if (audioContext.state === 'closed') {
+      throw new StateError('Cannot initialize on a closed AudioContext', this.state, { code: 'context-closed' });
+    }
+
+    if (audioContext === this.audioCtx) {
+      if (this.state === 'loading') return this.initializing;
+      if (this.isWorkletLoaded) return;
+    } else if (this.audioCtx) {
+      // Nodes can't move between contexts, so start over on the new one
+      this.releaseGraph();
+    }
 
     this.audioCtx = audioContext;
+    this.watchContext(audioContext);
+    this.setState('loading');
+
+    this.initializing = this.load(audioContext);
+    try {
+      await this.initializing;
+    } finally {
+      if (this.audioCtx === audioContext) {
+        this.initializing = null;
+      }
+    }
+  }
 
+  /**
+   * Load the worklet into a context and create the limiter node (the 'loading' state)
+   */
+  async load(audioContext) {
     try {
-      await this.audioCtx.audioWorklet.addModule('src/limiter-worklet.js');
-      this.isWorkletLoaded = true;
+      await LimiterNode.addModule(audioContext, this.workletUrl);
     } catch (error) {
       console.error('[AudioWorklet] Failed to load limiter worklet:', error);
-      this.isWorkletLoaded = false;
-      throw new Error('Failed to load AudioWorklet processor. Make sure you are running from a web server (not file://).');
+      this.failInitialization(audioContext, new InitializationError(
+        'Failed to load AudioWorklet processor. Make sure you are running from a web server (not file://).',
+        { code: 'worklet-load-failed', cause: error }
+      ));
     }
 
-    try {
-      this.limiterNode = new AudioWorkletNode(this.audioCtx, 'limiter-processor', {
-        numberOfInputs: 1,
-        numberOfOutputs: 1,
-        outputChannelCount: [2],
+    // destroy() or an initialize() on another context while the module was loading
+    if (this.audioCtx !== audioContext) {
+      throw new StateError('Initialization was superseded before the worklet loaded', this.state, {
+        code: 'initialization-superseded',
       });
+    }
 
-      // Apply all stored parameters
-      this.updateParameters({
-        threshold: this.threshold,
-        attackTime: this.attackTime,
-        releaseTime: this.releaseTime,
-        rmsWindow: this.rmsWindow
-      });
+    try {
+      this.limiterNode = new LimiterNode(audioContext, { channelCount: this.channelCount });
+
+      const forwardReport = (event) => this.handleWorkletMessage(event.detail);
+      this.limiterNode.addEventListener('telemetry', forwardReport);
+      this.limiterNode.addEventListener('loudness', forwardReport);
+
+      // Send the stored parameters to the new node (nothing changed, so no 'parameterchange')
+      this.applyParameters(this.getParameters());
+      // A key node can't follow the limiter to a new graph, so an 'external' setting waits for connectSidechain()
+      this.postOptions({ detectionSource: 'internal' });
+      this.setParamValue('bypass', this.isBypassed ? 1 : 0);
     } catch (error) {
       console.error('[AudioWorklet] Failed to create limiter node:', error);
-      throw new Error('Failed to create AudioWorklet node.');
+      this.failInitialization(audioContext, new InitializationError('Failed to create AudioWorklet node.', {
+        code: 'node-creation-failed',
+        cause: error,
+      }));
     }
+
+    this.setState('ready');
+  }
+
+  /**
+   * Drop a failed load so initialize() can be retried, report it and throw
+   */
+  failInitialization(audioContext, error) {
+    if (this.audioCtx === audioContext) {
+      this.releaseGraph();
+      this.setState('uninitialized', 'initialization-failed');
+      this.reportError(error);
+    }
+    throw error;
+  }
+
+  /**
+   * Follow the context's state: a closed context takes the graph with it,
+   * so the normalizer goes back to 'uninitialized' and can be initialized on a new one
+   * An interrupted context (e.g. a phone call on iOS) keeps the graph wired but no audio flows,
+   * so an active normalizer is 'interrupted' until the context is running again
+   */
+  watchContext(audioContext) {
+    this.contextStateListener = () => {
+      this.dispatchEvent(new CustomEvent('contextstatechange', { detail: { contextState: audioContext.state } }));
+
+      if (audioContext.state === 'closed') {
+        this.releaseGraph();
+        this.setState('uninitialized', 'context-closed');
+      } else if (audioContext.state === 'interrupted' && this.isActive) {
+        this.setState('interrupted', 'context-interrupted');
+      } else if (audioContext.state === 'running' && this.state === 'interrupted') {
+        this.setState('active', 'context-resumed');
+      }
+    };
+    audioContext.addEventListener('statechange', this.contextStateListener);
   }
 
   /**
    * Enable audio processing with specified source and destination nodes
    */
   enable(sourceNode, destinationNode) {
-    if (!this.audioCtx || !this.isWorkletLoaded || !this.limiterNode) {
-      console.error('[AudioWorklet] Cannot enable: worklet not properly initialized');
-      return;
-    }
+    if (this.isActive || this.state === 'interrupted') return;
 
-    if (this.isActive) return;
+    if (this.state !== 'ready') {
+      throw new StateError(`Cannot enable while ${this.state}, initialize() first`, this.state);
+    }
+    if (!sourceNode || !destinationNode) {
+      throw new ParameterError(sourceNode ? 'destinationNode' : 'sourceNode', sourceNode ? destinationNode : sourceNode, 'an AudioNode');
+    }
 
     this.sourceNode = sourceNode;
     this.destinationNode = destinationNode;
@@ -76,14 +394,16 @@ class VoiceVolumeNormalizer {
     this.sourceNode.connect(this.limiterNode);
     this.limiterNode.connect(this.destinationNode);
 
-    this.isActive = true;
+    this.setState('active');
   }
 
   /**
-   * Disable audio processing (bypass mode)
+   * Disable audio processing by rewiring the source straight to the destination
+   * This drops the lookahead delay and can click, setBypass() is the seamless alternative
    */
   disable() {
-    if (!this.audioCtx || !this.isActive || !this.sourceNode || !this.destinationNode) {
+    const routed = this.isActive || this.state === 'interrupted';
+    if (!this.audioCtx || !routed || !this.sourceNode || !this.destinationNode) {
       return;
     }
 
@@ -96,62 +416,516 @@ class VoiceVolumeNormalizer {
 
     this.sourceNode.connect(this.destinationNode);
 
-    this.isActive = false;
+    this.setState('ready');
+  }
+
+  /**
+   * Crossfade between the limited and the dry signal inside the worklet
+   * The dry signal keeps the lookahead delay, so latency doesn't jump and nothing clicks
+   * Throws a ParameterError unless bypassed is a boolean and fadeTime (ms) is a finite number >= 0
+   */
+  setBypass(bypassed, { fadeTime = this.bypassFadeTime } = {}) {
+    if (typeof bypassed !== 'boolean') {
+      throw new ParameterError('bypassed', bypassed, 'true or false');
+    }
+    if (typeof fadeTime !== 'number' || !Number.isFinite(fadeTime) || fadeTime < 0) {
+      throw new ParameterError('fadeTime', fadeTime, 'a number of ms >= 0');
+    }
+
+    this.isBypassed = bypassed;
+    this.notifyParameterChange({ bypass: bypassed });
+
+    const param = this.getParam('bypass');
+    if (!param) return;
+
+    const now = this.audioCtx.currentTime;
+    const target = bypassed ? 1 : 0;
+
+    // Start the ramp from wherever any fade in progress has got to
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(now);
+    } else {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+    }
+
+    if (fadeTime > 0) {
+      param.linearRampToValueAtTime(target, now + fadeTime / 1000);
+    } else {
+      param.setValueAtTime(target, now);
+    }
+  }
+
+  /**
+   * Limit a live MediaStream, such as the microphone from getUserMedia or a remote WebRTC stream
+   * Returns the processed MediaStream so it can be sent back into a peer connection
+   */
+  enableStream(mediaStream) {
+    if (!this.isWorkletLoaded) {
+      throw new StateError(`Cannot enable a stream while ${this.state}, initialize() first`, this.state);
+    }
+
+    if (this.isActive) {
+      this.disable();
+    }
+    this.stopStream();
+
+    this.streamSourceNode = new MediaStreamAudioSourceNode(this.audioCtx, { mediaStream });
+    this.streamDestinationNode = new MediaStreamAudioDestinationNode(this.audioCtx, {
+      channelCount: this.channelCount,
+    });
+
+    this.enable(this.streamSourceNode, this.streamDestinationNode);
+    return this.streamDestinationNode.stream;
+  }
+
+  /**
+   * Detach the current MediaStream input
+   * The stream's tracks are left running, they belong to the caller
+   */
+  stopStream() {
+    if (!this.streamSourceNode) return;
+
+    if (this.sourceNode === this.streamSourceNode) {
+      if (this.isActive) {
+        this.disable();
+      }
+      this.sourceNode = null;
+      this.destinationNode = null;
+    }
+
+    this.streamSourceNode.disconnect();
+    this.streamSourceNode = null;
+    this.streamDestinationNode = null;
+  }
+
+  /**
+   * Connect a sidechain key to the limiter's second input
+   * With external detection the key drives the gain, e.g. a voice ducking game or music audio,
+   * or one key node shared by several limiters so they clamp together
+   */
+  connectSidechain(sidechainNode, { external = true } = {}) {
+    if (!this.isWorkletLoaded) {
+      throw new StateError(`Cannot connect a sidechain while ${this.state}, initialize() first`, this.state);
+    }
+
+    this.disconnectSidechain({ internal: false });
+
+    this.sidechainNode = sidechainNode;
+    this.sidechainNode.connect(this.limiterNode, 0, 1);
+
+    if (external) {
+      this.setDetectionSource('external');
+    } else {
+      this.postOptions({ detectionSource: this.detectionSource });
+    }
+  }
+
+  /**
+   * Detach the sidechain key, switching back to internal detection by default
+   */
+  disconnectSidechain({ internal = true } = {}) {
+    if (this.sidechainNode) {
+      try {
+        this.sidechainNode.disconnect(this.limiterNode, 0, 1);
+      } catch (e) {
+        // Ignore if already disconnected
+      }
+      this.sidechainNode = null;
+    }
+
+    if (internal) {
+      this.setDetectionSource('internal');
+    }
+  }
+
+  /**
+   * Choose what drives the gain: the limited signal ('internal') or the sidechain key ('external')
+   * External detection without a connected key leaves the audio unprocessed
+   */
+  setDetectionSource(detectionSource) {
+    validateParameters({ detectionSource });
+    this.detectionSource = detectionSource;
+    this.postOptions({ detectionSource });
+    this.notifyParameterChange({ detectionSource });
+  }
+
+  /**
+   * Handle messages posted by the worklet
+   */
+  handleWorkletMessage(data) {
+    if (data.type === 'telemetry') {
+      this.telemetry = data;
+      this.dispatchEvent(new CustomEvent('telemetry', { detail: data }));
+    } else if (data.type === 'loudness') {
+      this.dispatchEvent(new CustomEvent('loudness', { detail: data }));
+    }
+  }
+
+  /**
+   * Ceiling currently in use (dB): the threshold, or in adaptive mode the latest value reported by the worklet
+   */
+  getEffectiveThreshold() {
+    if (this.thresholdMode === 'adaptive' && this.telemetry) {
+      return this.telemetry.threshold;
+    }
+    return this.threshold;
+  }
+
+  /**
+   * Snapshot of all stored settings, in the same units updateParameters takes
+   */
+  getParameters() {
+    return {
+      threshold: this.threshold,
+      knee: this.knee,
+      ratio: this.ratio,
+      floor: this.floor,
+      maxBoost: this.maxBoost,
+      gateThreshold: this.gateThreshold,
+      attackTime: this.attackTime,
+      releaseTime: this.releaseTime,
+      rmsWindow: this.rmsWindow,
+      lookaheadTime: this.lookaheadTime,
+      mix: this.mix,
+      bypassFadeTime: this.bypassFadeTime,
+      detectionMode: this.detectionMode,
+      channelMode: this.channelMode,
+      thresholdMode: this.thresholdMode,
+      adaptiveOffset: this.adaptiveOffset,
+      minThreshold: this.minThreshold,
+      maxThreshold: this.maxThreshold,
+      adaptationTime: this.adaptationTime,
+      telemetryInterval: this.telemetryInterval,
+      bandCount: this.bandCount,
+      crossovers: this.crossovers.slice(),
+      bands: this.bands.map((band) => ({ ...band })),
+    };
   }
 
   /**
    * Update limiter parameters
    * Stores values immediately and applies to limiter node if initialized
+   * Convenience wrapper that sets the underlying AudioParams at the current time
+   * Numbers are clamped to PARAMETER_RANGES, unusable values throw a ParameterError (and nothing changes)
+   * detectionSource is accepted too, as with setDetectionSource()
+   */
+  updateParameters(params = {}) {
+    const validated = validateParameters(params);
+    this.applyParameters(validated);
+
+    // Report the values as stored (e.g. ratio after clamping to MAX_RATIO)
+    const stored = this.getParameters();
+    const changes = {};
+    for (const name of Object.keys(validated)) {
+      if (name in stored) changes[name] = stored[name];
+    }
+    if (validated.detectionSource !== undefined) {
+      changes.detectionSource = validated.detectionSource;
+    }
+    this.notifyParameterChange(changes);
+  }
+
+  /**
+   * Store validated settings and send them to the limiter node, without announcing them
    */
-  updateParameters({ threshold, attackTime, releaseTime, rmsWindow } = {}) {
-    const params = {};
+  applyParameters(validated) {
+    const {
+      threshold,
+      knee,
+      ratio,
+      floor,
+      maxBoost,
+      gateThreshold,
+      attackTime,
+      releaseTime,
+      rmsWindow,
+      lookaheadTime,
+      mix,
+      bypassFadeTime,
+      detectionMode,
+      channelMode,
+      detectionSource,
+      thresholdMode,
+      adaptiveOffset,
+      minThreshold,
+      maxThreshold,
+      adaptationTime,
+      telemetryInterval,
+      bandCount,
+      crossovers,
+      bands
+    } = validated;
 
     // Always store values in instance variables
     if (threshold !== undefined) {
       this.threshold = threshold;
-      params.threshold = threshold;
+      this.setParamValue('threshold', threshold);
+    }
+
+    if (knee !== undefined) {
+      this.knee = knee;
+      this.setParamValue('knee', knee);
+    }
+
+    if (ratio !== undefined) {
+      // Anything from MAX_RATIO up (including Infinity) is clamped to it, a brickwall
+      this.ratio = ratio;
+      this.setParamValue('ratio', ratio);
+    }
+
+    if (floor !== undefined) {
+      this.floor = floor;
+      this.setParamValue('floor', floor);
+    }
+
+    if (maxBoost !== undefined) {
+      this.maxBoost = maxBoost;
+      this.setParamValue('maxBoost', maxBoost);
+    }
+
+    if (gateThreshold !== undefined) {
+      this.gateThreshold = gateThreshold;
+      this.setParamValue('gateThreshold', gateThreshold);
     }
 
     if (attackTime !== undefined) {
       this.attackTime = attackTime;
-      params.attackTime = attackTime / 1000;
+      this.setParamValue('attackTime', attackTime / 1000);
     }
 
     if (releaseTime !== undefined) {
       this.releaseTime = releaseTime;
-      params.releaseTime = releaseTime / 1000;
+      this.setParamValue('releaseTime', releaseTime / 1000);
     }
 
     if (rmsWindow !== undefined) {
       this.rmsWindow = rmsWindow;
-      params.rmsWindow = rmsWindow / 1000;
+      this.setParamValue('rmsWindow', rmsWindow / 1000);
+    }
+
+    if (lookaheadTime !== undefined) {
+      this.lookaheadTime = lookaheadTime;
+      this.setParamValue('lookaheadTime', lookaheadTime / 1000);
+    }
+
+    if (mix !== undefined) {
+      this.mix = mix;
+      this.setParamValue('mix', mix / 100);
+    }
+
+    if (bypassFadeTime !== undefined) {
+      this.bypassFadeTime = bypassFadeTime;
+    }
+
+    // Discrete options are not AudioParams, so they go over the port
+    if (detectionMode !== undefined) {
+      this.detectionMode = detectionMode;
+      this.postOptions({ detectionMode });
+    }
+
+    if (channelMode !== undefined) {
+      this.channelMode = channelMode;
+      this.postOptions({ channelMode });
+    }
+
+    if (detectionSource !== undefined) {
+      this.detectionSource = detectionSource;
+      this.postOptions({ detectionSource });
+    }
+
+    // Adaptive threshold settings
+    if (thresholdMode !== undefined) {
+      this.thresholdMode = thresholdMode;
+      this.postOptions({ thresholdMode });
     }
 
-    // Apply to limiter node if it exists
-    if (this.limiterNode && Object.keys(params).length > 0) {
-      this.limiterNode.port.postMessage({
-        type: 'updateParameters',
-        ...params
+    if (adaptiveOffset !== undefined) {
+      this.adaptiveOffset = adaptiveOffset;
+      this.postOptions({ adaptiveOffset });
+    }
+
+    if (minThreshold !== undefined) {
+      this.minThreshold = minThreshold;
+      this.postOptions({ minThreshold });
+    }
+
+    if (maxThreshold !== undefined) {
+      this.maxThreshold = maxThreshold;
+      this.postOptions({ maxThreshold });
+    }
+
+    if (adaptationTime !== undefined) {
+      this.adaptationTime = adaptationTime;
+      this.postOptions({ adaptationTime: adaptationTime / 1000 });
+    }
+
+    if (telemetryInterval !== undefined) {
+      this.telemetryInterval = telemetryInterval;
+      this.postOptions({ telemetryInterval: telemetryInterval / 1000 });
+    }
+
+    // Multiband settings, bands are merged by index so one band can be changed on its own
+    if (bands !== undefined) {
+      this.bands = this.bands.map((band, i) => ({ ...band, ...(bands[i] || {}) }));
+      this.postOptions({
+        bands: this.bands.map(({ threshold, attackTime, releaseTime }) => ({
+          threshold,
+          attackTime: attackTime / 1000,
+          releaseTime: releaseTime / 1000,
+        })),
       });
     }
+
+    if (crossovers !== undefined) {
+      this.crossovers = this.crossovers
+        .map((frequency, i) => crossovers[i] ?? frequency)
+        .sort((a, b) => a - b);
+      this.postOptions({ crossovers: this.crossovers });
+    }
+
+    if (bandCount !== undefined) {
+      this.bandCount = bandCount;
+      this.postOptions({ bandCount });
+    }
   }
 
   /**
-   * Clean up resources
+   * Change one band's multiband settings (threshold in dB, attackTime and releaseTime in ms)
    */
-  destroy() {
-    if (this.isActive) {
+  updateBand(index, settings) {
+    if (!Number.isInteger(index) || index < 0 || index >= MAX_BANDS) {
+      throw new ParameterError('index', index, `a band index from 0 to ${MAX_BANDS - 1}`);
+    }
+    const bands = [];
+    bands[index] = settings;
+    this.updateParameters({ bands });
+  }
+
+  /**
+   * Announce a settings change as a 'parameterchange' event (used by diagnostics recording)
+   * detail.changes holds the new values, detail.time the AudioContext time (null before initialize)
+   */
+  notifyParameterChange(changes) {
+    if (Object.keys(changes).length === 0) return;
+
+    this.dispatchEvent(new CustomEvent('parameterchange', {
+      detail: { time: this.audioCtx ? this.audioCtx.currentTime : null, changes },
+    }));
+  }
+
+  /**
+   * Get the limiter's AudioParam for scheduling automation or connecting modulators
+   * Names: threshold, knee, floor, maxBoost, gateThreshold (dB), ratio,
+   * attackTime, releaseTime, rmsWindow, lookaheadTime (seconds), mix, bypass (0 to 1)
+   */
+  getParam(name) {
+    if (!this.limiterNode) return null;
+    return this.limiterNode.parameters.get(name) || null;
+  }
+
+  /**
+   * Send non-AudioParam options to the worklet
+   */
+  postOptions(options) {
+    if (!this.limiterNode) return;
+
+    this.limiterNode.setOptions(options);
+  }
+
+  /**
+   * Input dB -> output dB points of the current static transfer curve
+   * In adaptive mode the curve sits at the effective threshold, so it moves with telemetry
+   */
+  getTransferCurve({ minDb = -60, maxDb = 0, step = 0.5 } = {}) {
+    const curve = {
+      threshold: this.getEffectiveThreshold(),
+      knee: this.knee,
+      ratio: this.ratio,
+      floor: this.floor,
+      maxBoost: this.maxBoost,
+      gateThreshold: this.gateThreshold,
+    };
+    const points = [];
+    for (let inputDb = minDb; inputDb <= maxDb; inputDb += step) {
+      points.push({
+        x: inputDb,
+        y: inputDb + computeGainDb(inputDb, curve),
+      });
+    }
+    return points;
+  }
+
+  /**
+   * Current processing latency introduced by the lookahead delay
+   * Uses the same rounding as the worklet so the sample count is exact
+   * Returns null until an audio context (and so a sample rate) is known
+   */
+  getLatency() {
+    if (!this.audioCtx) return null;
+
+    const sampleRate = this.audioCtx.sampleRate;
+    const samples = Math.round((this.lookaheadTime / 1000) * sampleRate);
+
+    return {
+      samples,
+      ms: (samples / sampleRate) * 1000,
+    };
+  }
+
+  /**
+   * Set an AudioParam right now, overriding any automation scheduled after it
+   */
+  setParamValue(name, value) {
+    const param = this.getParam(name);
+    if (!param) return;
+
+    const now = this.audioCtx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(value, now);
+  }
+
+  /**
+   * Tear down the limiter node and let go of the context, keeping every setting
+   * Safe to call in any state; a closed context skips the rewiring, its nodes are gone anyway
+   */
+  releaseGraph() {
+    const contextOpen = this.audioCtx && this.audioCtx.state !== 'closed';
+
+    if (contextOpen) {
+      this.stopStream();
+      this.disconnectSidechain({ internal: false });
       this.disable();
     }
 
     if (this.limiterNode) {
-      this.limiterNode.disconnect();
+      if (contextOpen) {
+        this.limiterNode.disconnect();
+      }
       this.limiterNode = null;
     }
 
+    if (this.audioCtx && this.contextStateListener) {
+      this.audioCtx.removeEventListener('statechange', this.contextStateListener);
+    }
+
+    this.contextStateListener = null;
+    this.initializing = null;
     this.audioCtx = null;
     this.sourceNode = null;
     this.destinationNode = null;
-    this.isWorkletLoaded = false;
+    this.streamSourceNode = null;
+    this.streamDestinationNode = null;
+    this.sidechainNode = null;
+    this.telemetry = null;
+  }
+
+  /**
+   * Clean up resources
+   * Settings are kept, and initialize() can bring the normalizer back on a new context
+   */
+  destroy() {
+    this.releaseGraph();
+    this.setState('destroyed');
   }
 }
@@ -1,11 +1,22 @@
 /**
  * Audio visualizer for AudioWorklet-based hard limit processing
  * Displays input and output levels with diagnostic recording and live Chart.js graphs
+ * Expects Chart.js to be loaded as the global `Chart`, zoom and pan use chartjs-plugin-zoom when it is loaded
  */
+import { LoudnessMeter } from './loudness-meter.js';
+import { DiagnosticsSession } from './diagnostics-session.js';
+
 const ANALYSER_FFT_SIZE = 2048;
 const ANALYSER_SMOOTHING = 0.3;
-
-class AudioVisualizer {
+const WAVEFORM_BUCKETS = 1000; // points per waveform in the offline comparison chart
+const MAX_CHART_POINTS = 2000; // per dataset - older points are merged in pairs beyond this
+const MAX_LIMITING_MARKERS = 500;
+const LIMITING_MARKER_DB = 0.5; // gain reduction that counts as limiting for the markers
+const MAX_REDUCTION_AXIS_DB = 30;
+const CURVE_REDRAW_DB = 0.5; // adaptive threshold movement that redraws the transfer curve
+const BAND_COLORS = ['#8e44ad', '#d35400', '#16a085', '#2c3e50']; // multiband reduction traces, lowest band first
+
+export class AudioVisualizer {
   constructor(processor, audioElement = null) {
     this.processor = processor;
     this.audioElement = audioElement;
@@ -13,23 +24,89 @@ class AudioVisualizer {
     this.onMetersUpdate = null;
     this.inputAnalyser = null;
     this.outputAnalyser = null;
+    this.analysedSource = null;
 
     this.isRecording = false;
-    this.recordingData = [];
-    this.recordingStartTime = null;
+    this.recording = null; // DiagnosticsSession being recorded
 
-    // Chart.js instance
+    // Chart.js instances
     this.chart = null;
+    this.waveformChart = null;
+    this.transferChart = null;
+    this.curveThreshold = null; // threshold the transfer curve was last drawn at
     this.chartData = {
       inputData: [],
       outputData: [],
-      thresholdData: []
+      thresholdData: [],
+      reductionData: [],
+      limitingMarkers: [],
+      // Per-band reduction in multiband mode (empty otherwise)
+      band1Reduction: [],
+      band2Reduction: [],
+      band3Reduction: [],
+      band4Reduction: []
+    };
+    // Imported session drawn over the live traces for comparison
+    this.importedSession = null;
+    this.sessionData = {
+      inputData: [],
+      outputData: []
     };
     this.chartStartTime = 0;
     this.audioDuration = null;
 
-    // Initialize chart immediately on construction
+    // Chart history is thinned out as it grows, points closer together than this are skipped
+    this.minPointSpacing = 0;
+    this.isLimiting = false;
+
+    // Rolling window length in seconds (null = show the whole session)
+    this.rollingWindow = null;
+    // Set while the user has zoomed or panned, so the view isn't moved under them
+    this.isZoomed = false;
+
+    // Worst gain reduction reported by the worklet since the last frame (null until telemetry arrives)
+    this.telemetryReductionDb = null;
+    this.telemetryBandReductionDb = null; // per band, null when multiband is off
+    this.processor.addEventListener('telemetry', (event) => this.handleTelemetry(event.detail));
+
+    // Output loudness for the session, fed by the worklet's K-weighted blocks
+    this.loudnessMeter = new LoudnessMeter();
+    this.processor.addEventListener('loudness', (event) => this.loudnessMeter.addBlock(event.detail.power));
+
+    // Settings changes made while recording go into the session's event log
+    this.processor.addEventListener('parameterchange', (event) => {
+      if (this.isRecording && event.detail.time !== null) {
+        this.recording.addEvent(event.detail.time, event.detail.changes);
+      }
+    });
+
+    // Initialize charts immediately on construction
     this.initializeChart();
+    this.initializeTransferChart();
+  }
+
+  /**
+   * Track the worklet's true gain reduction between animation frames
+   */
+  handleTelemetry(telemetry) {
+    if (this.processor.thresholdMode === 'adaptive' && this.curveThreshold !== null &&
+        Math.abs(telemetry.threshold - this.curveThreshold) >= CURVE_REDRAW_DB) {
+      this.updateTransferCurve();
+    }
+
+    if (this.telemetryReductionDb === null || telemetry.peakReductionDb > this.telemetryReductionDb) {
+      this.telemetryReductionDb = telemetry.peakReductionDb;
+    }
+
+    const bands = telemetry.bandReductionDb || [];
+    if (bands.length === 0) return;
+    if (!this.telemetryBandReductionDb || this.telemetryBandReductionDb.length !== bands.length) {
+      this.telemetryBandReductionDb = bands.slice();
+    } else {
+      bands.forEach((reductionDb, band) => {
+        this.telemetryBandReductionDb[band] = Math.max(this.telemetryBandReductionDb[band], reductionDb);
+      });
+    }
   }
 
   /**
@@ -50,6 +127,7 @@ class AudioVisualizer {
 
     this.processor.sourceNode.connect(this.inputAnalyser);
     this.processor.limiterNode.connect(this.outputAnalyser);
+    this.analysedSource = this.processor.sourceNode;
   }
 
   /**
@@ -64,6 +142,11 @@ class AudioVisualizer {
 
     const ctx = canvas.getContext('2d');
 
+    // Wheel zoom and drag pan (no-op if the plugin's script already registered itself)
+    if (typeof ChartZoom !== 'undefined') {
+      Chart.register(ChartZoom);
+    }
+
     // Get audio duration if available
     if (this.audioElement && !isNaN(this.audioElement.duration)) {
       this.audioDuration = this.audioElement.duration;
@@ -101,6 +184,58 @@ class AudioVisualizer {
             borderDash: [5, 5],
             pointRadius: 0,
             fill: false
+          },
+          {
+            label: 'Gain Reduction',
+            data: this.chartData.reductionData,
+            yAxisID: 'reduction',
+            borderColor: '#27ae60',
+            backgroundColor: 'rgba(39, 174, 96, 0.15)',
+            borderWidth: 1,
+            stepped: true,
+            pointRadius: 0,
+            fill: 'origin'
+          },
+          {
+            label: 'Limiting',
+            data: this.chartData.limitingMarkers,
+            showLine: false,
+            pointStyle: 'triangle',
+            rotation: 180,
+            pointRadius: 5,
+            borderColor: '#c0392b',
+            backgroundColor: '#c0392b'
+          },
+          ...BAND_COLORS.map((color, band) => ({
+            label: `Band ${band + 1} Reduction`,
+            data: this.chartData[`band${band + 1}Reduction`],
+            yAxisID: 'reduction',
+            borderColor: color,
+            borderWidth: 1,
+            stepped: true,
+            pointRadius: 0,
+            fill: false,
+            hideWhenEmpty: true
+          })),
+          {
+            label: 'Imported Input',
+            data: this.sessionData.inputData,
+            borderColor: 'rgba(52, 152, 219, 0.6)',
+            borderWidth: 1,
+            borderDash: [2, 2],
+            pointRadius: 0,
+            fill: false,
+            hideWhenEmpty: true
+          },
+          {
+            label: 'Imported Output',
+            data: this.sessionData.outputData,
+            borderColor: 'rgba(231, 76, 60, 0.6)',
+            borderWidth: 1,
+            borderDash: [2, 2],
+            pointRadius: 0,
+            fill: false,
+            hideWhenEmpty: true
           }
         ]
       },
@@ -133,15 +268,51 @@ class AudioVisualizer {
             ticks: {
               stepSize: 10
             }
+          },
+          reduction: {
+            position: 'right',
+            reverse: true, // reduction hangs down from the top
+            title: {
+              display: true,
+              text: 'Gain Reduction (dB)'
+            },
+            min: 0,
+            max: MAX_REDUCTION_AXIS_DB,
+            grid: {
+              drawOnChartArea: false
+            }
           }
         },
         plugins: {
           legend: {
             display: true,
-            position: 'top'
+            position: 'top',
+            labels: {
+              // Band and imported traces only appear in the legend once they have data
+              filter: (item, data) => {
+                const dataset = data.datasets[item.datasetIndex];
+                return !dataset.hideWhenEmpty || dataset.data.length > 0;
+              }
+            }
           },
           tooltip: {
             enabled: false
+          },
+          zoom: {
+            limits: {
+              x: { min: 0 }
+            },
+            pan: {
+              enabled: true,
+              mode: 'x',
+              onPanComplete: () => { this.isZoomed = true; }
+            },
+            zoom: {
+              wheel: { enabled: true },
+              pinch: { enabled: true },
+              mode: 'x',
+              onZoomComplete: () => { this.isZoomed = true; }
+            }
           }
         },
         interaction: {
@@ -152,25 +323,246 @@ class AudioVisualizer {
     });
   }
 
+  /**
+   * Initialize the static transfer curve chart (input dB -> output dB)
+   */
+  initializeTransferChart(canvasId = 'transferChart') {
+    if (this.transferChart) return;
+
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const range = { minDb: -60, maxDb: 0 };
+
+    this.curveThreshold = this.processor.getEffectiveThreshold();
+    this.transferChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: 'Output',
+            data: this.processor.getTransferCurve(range),
+            borderColor: '#e74c3c',
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false
+          },
+          {
+            label: 'Unity',
+            data: [{ x: range.minDb, y: range.minDb }, { x: range.maxDb, y: range.maxDb }],
+            borderColor: '#95a5a6',
+            borderWidth: 1,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        scales: {
+          x: {
+            type: 'linear',
+            title: {
+              display: true,
+              text: 'Input (dB)'
+            },
+            min: range.minDb,
+            max: range.maxDb
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Output (dB)'
+            },
+            min: range.minDb,
+            max: range.maxDb
+          }
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            enabled: false
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Redraw the transfer curve after threshold, knee or ratio changes (or the adaptive threshold moves)
+   */
+  updateTransferCurve() {
+    if (!this.transferChart) return;
+
+    this.curveThreshold = this.processor.getEffectiveThreshold();
+
+    const { min, max } = this.transferChart.options.scales.x;
+    this.transferChart.data.datasets[0].data = this.processor.getTransferCurve({ minDb: min, maxDb: max });
+    this.transferChart.update('none');
+  }
+
   /**
    * Update chart data with new points
    */
-  updateChart(inputDb, outputDb) {
+  updateChart(inputDb, outputDb, reductionDb = 0, bandReductionDb = null) {
     if (!this.chart) return;
 
-    // Use audio element's current time if available, otherwise use elapsed time
-    const currentTime = this.audioElement && !isNaN(this.audioElement.currentTime)
-      ? this.audioElement.currentTime
-      : (performance.now() - this.chartStartTime) / 1000;
+    const currentTime = this.getChartTime();
+
+    // Mark where limiting engages (kept even when the point itself is thinned out)
+    const isLimiting = reductionDb >= LIMITING_MARKER_DB;
+    if (isLimiting && !this.isLimiting) {
+      this.chartData.limitingMarkers.push({ x: currentTime, y: outputDb });
+      if (this.chartData.limitingMarkers.length > MAX_LIMITING_MARKERS) {
+        this.chartData.limitingMarkers.shift();
+      }
+    }
+    this.isLimiting = isLimiting;
+
+    const { inputData } = this.chartData;
+    const lastTime = inputData.length > 0 ? inputData[inputData.length - 1].x : -Infinity;
+
+    // Seeking back in the file redraws the trace from there rather than drawing backwards
+    if (currentTime < lastTime) {
+      this.dropChartDataAfter(currentTime);
+    } else if (currentTime - lastTime < this.minPointSpacing) {
+      this.updateChartView(currentTime);
+      return;
+    }
 
     // Add new data point (using x,y objects for linear scale)
     this.chartData.inputData.push({ x: currentTime, y: inputDb });
     this.chartData.outputData.push({ x: currentTime, y: outputDb });
-    this.chartData.thresholdData.push({ x: currentTime, y: this.processor.threshold });
+    this.chartData.thresholdData.push({ x: currentTime, y: this.processor.getEffectiveThreshold() });
+    this.chartData.reductionData.push({ x: currentTime, y: Math.max(0, reductionDb) });
+    if (bandReductionDb) {
+      bandReductionDb.forEach((bandDb, band) => {
+        this.chartData[`band${band + 1}Reduction`].push({ x: currentTime, y: Math.max(0, bandDb) });
+      });
+    }
+
+    if (this.rollingWindow !== null) {
+      this.trimChartData(currentTime - this.rollingWindow);
+    }
+    if (inputData.length > MAX_CHART_POINTS) {
+      this.decimateChartData();
+    }
+
+    this.updateChartView(currentTime);
+  }
+
+  /**
+   * Chart x position for now: the audio element's current time if available, otherwise elapsed time
+   */
+  getChartTime() {
+    return this.audioElement && !isNaN(this.audioElement.currentTime)
+      ? this.audioElement.currentTime
+      : (performance.now() - this.chartStartTime) / 1000;
+  }
+
+  /**
+   * Move the x-axis for rolling mode (unless the user is zoomed in) and redraw
+   */
+  updateChartView(currentTime) {
+    if (this.rollingWindow !== null && !this.isZoomed) {
+      const x = this.chart.options.scales.x;
+      x.min = Math.max(0, currentTime - this.rollingWindow);
+      x.max = Math.max(this.rollingWindow, currentTime);
+    }
 
     this.chart.update('none'); // Update without animation for performance
   }
 
+  /**
+   * Drop points older than the given time (rolling mode)
+   */
+  trimChartData(startTime) {
+    for (const data of Object.values(this.chartData)) {
+      let stale = 0;
+      while (stale < data.length && data[stale].x < startTime) stale++;
+      if (stale > 0) data.splice(0, stale);
+    }
+  }
+
+  /**
+   * Drop points newer than the given time (after seeking back)
+   */
+  dropChartDataAfter(time) {
+    for (const data of Object.values(this.chartData)) {
+      let keep = data.length;
+      while (keep > 0 && data[keep - 1].x > time) keep--;
+      data.length = keep;
+    }
+  }
+
+  /**
+   * Halve the chart's resolution by merging neighbouring points, keeping the louder of each pair
+   * New points are then spaced at least as far apart, so memory stays bounded for long sessions
+   */
+  decimateChartData() {
+    const { inputData, outputData, thresholdData, reductionData } = this.chartData;
+    const bandReductions = [1, 2, 3, 4].map((band) => this.chartData[`band${band}Reduction`]);
+
+    for (const data of [inputData, outputData, reductionData, ...bandReductions, thresholdData]) {
+      const keepLatest = data === thresholdData;
+      let write = 0;
+      for (let read = 0; read + 1 < data.length; read += 2, write++) {
+        const first = data[read];
+        const second = data[read + 1];
+        data[write] = { x: second.x, y: keepLatest ? second.y : Math.max(first.y, second.y) };
+      }
+      if (data.length % 2 === 1) data[write++] = data[data.length - 1];
+      data.length = write;
+    }
+
+    const span = inputData[inputData.length - 1].x - inputData[0].x;
+    this.minPointSpacing = span / MAX_CHART_POINTS;
+  }
+
+  /**
+   * Use a rolling x-axis of the given length in seconds for endless live streams (null = whole session)
+   */
+  setRollingWindow(seconds) {
+    this.rollingWindow = seconds;
+    this.minPointSpacing = 0; // full resolution again for the new time span
+    this.resetZoom();
+    if (!this.chart || seconds !== null) return;
+
+    // Back to the full session (or file duration)
+    this.chart.options.scales.x.min = 0;
+    this.chart.options.scales.x.max = this.audioDuration || undefined;
+    this.chart.update('none');
+  }
+
+  /**
+   * Undo any wheel zoom or drag pan and follow the live data again
+   */
+  resetZoom() {
+    this.isZoomed = false;
+    if (!this.chart) return;
+
+    if (this.chart.resetZoom) {
+      this.chart.resetZoom('none');
+    }
+    this.chart.update('none');
+  }
+
+  /**
+   * Empty every chart dataset in place (Chart.js holds references to these arrays)
+   */
+  clearChartData() {
+    for (const data of Object.values(this.chartData)) {
+      data.length = 0;
+    }
+    this.minPointSpacing = 0;
+    this.isLimiting = false;
+  }
+
   /**
    * Calculate RMS (Root Mean Square) for perceived loudness
    */
@@ -210,13 +602,30 @@ class AudioVisualizer {
     const inputDb = 20 * Math.log10(inputRMS || 1e-5);
     const outputDb = 20 * Math.log10(outputRMS || 1e-5);
 
-    const totalReductionDb = inputDb - outputDb;
+    // Prefer the worklet's actual envelope, fall back to comparing analyser levels
+    const telemetry = this.processor.telemetry;
+    let totalReductionDb;
+    if (this.telemetryReductionDb !== null) {
+      totalReductionDb = this.telemetryReductionDb;
+    } else if (telemetry) {
+      totalReductionDb = telemetry.gainReductionDb;
+    } else {
+      totalReductionDb = inputDb - outputDb;
+    }
+    this.telemetryReductionDb = null;
+    let bandReductionDb = this.telemetryBandReductionDb;
+    if (!bandReductionDb && telemetry && telemetry.bandReductionDb.length > 0) {
+      bandReductionDb = telemetry.bandReductionDb;
+    }
+    this.telemetryBandReductionDb = null;
+
     const totalReductionPercent = totalReductionDb > 0
       ? (1 - Math.pow(10, -totalReductionDb / 20)) * 100
       : 0;
 
     // Update chart
-    this.updateChart(inputDb, outputDb);
+    this.updateChart(inputDb, outputDb, totalReductionDb, bandReductionDb);
+    const loudness = this.loudnessMeter.getLoudness();
 
     // Update stats display
     if (this.onMetersUpdate) {
@@ -225,21 +634,27 @@ class AudioVisualizer {
         inputPercent: this.dbToPercent(inputDb),
         outputDb: outputDb,
         outputPercent: this.dbToPercent(outputDb),
+        reductionDb: Math.max(0, totalReductionDb),
         reductionPercent: Math.max(0, totalReductionPercent),
+        bandReductionDb,
+        ...loudness,
       });
     }
 
-    // Recording
-    if (this.isRecording && this.recordingStartTime !== null) {
-      const timestamp = performance.now() - this.recordingStartTime;
-      this.recordingData.push({
-        timestamp: timestamp.toFixed(2),
-        inputDb: inputDb.toFixed(2),
-        outputDb: outputDb.toFixed(2),
-        threshold: this.processor.threshold.toFixed(2),
-        reductionDb: totalReductionDb.toFixed(2),
-        reductionPercent: totalReductionPercent.toFixed(2),
-        aboveThreshold: inputDb > this.processor.threshold,
+    // Recording, timed on the audio clock
+    if (this.isRecording) {
+      const threshold = this.processor.getEffectiveThreshold();
+      this.recording.addFrame(this.processor.audioCtx.currentTime, {
+        chartTime: this.getChartTime(),
+        inputDb,
+        outputDb,
+        threshold,
+        reductionDb: totalReductionDb,
+        reductionPercent: totalReductionPercent,
+        detectorDb: telemetry ? telemetry.detectorDb : null,
+        momentaryLufs: loudness.momentaryLufs,
+        shortTermLufs: loudness.shortTermLufs,
+        aboveThreshold: inputDb > threshold,
       });
     }
 
@@ -253,8 +668,18 @@ class AudioVisualizer {
     if (!this.inputAnalyser || !this.processor.isActive) return;
 
     try {
+      // Input source changed (e.g. file to microphone) - stop analysing the old one
+      if (this.analysedSource && this.analysedSource !== this.processor.sourceNode) {
+        try {
+          this.analysedSource.disconnect(this.inputAnalyser);
+        } catch (e) {
+          // Ignore if the old source was already disconnected
+        }
+      }
+
       this.processor.sourceNode.connect(this.inputAnalyser);
       this.processor.limiterNode.connect(this.outputAnalyser);
+      this.analysedSource = this.processor.sourceNode;
     } catch (e) {
       console.error('[Visualizer] Error reconnecting analysers:', e);
     }
@@ -296,14 +721,15 @@ class AudioVisualizer {
         outputDb: -Infinity,
         outputPercent: 0,
         reductionPercent: 0,
+        momentaryLufs: null,
+        shortTermLufs: null,
+        integratedLufs: this.loudnessMeter.getIntegrated(),
       });
     }
 
     // Clear chart data in place (Chart.js holds references)
     if (this.chart) {
-      this.chartData.inputData.length = 0;
-      this.chartData.outputData.length = 0;
-      this.chartData.thresholdData.length = 0;
+      this.clearChartData();
       this.chart.update();
     }
   }
@@ -314,22 +740,40 @@ class AudioVisualizer {
   updateAudioDuration() {
     if (this.audioElement && !isNaN(this.audioElement.duration)) {
       this.audioDuration = this.audioElement.duration;
-      if (this.chart && this.chart.options.scales.x) {
+      if (this.chart && this.chart.options.scales.x && this.rollingWindow === null) {
         this.chart.options.scales.x.max = this.audioDuration;
         this.chart.update('none');
       }
     }
   }
 
+  /**
+   * Switch between timing the chart from an audio element and from elapsed time (live streams)
+   */
+  setAudioElement(audioElement) {
+    this.audioElement = audioElement;
+
+    if (audioElement) {
+      this.updateAudioDuration();
+    } else if (this.chart && this.chart.options.scales.x) {
+      // Live input has no fixed duration, let the axis grow with the data
+      this.audioDuration = null;
+      this.chart.options.scales.x.max = undefined;
+      this.chart.update('none');
+    }
+  }
+
   /**
    * Reset/clear chart data without stopping visualization
    * Works regardless of whether chart is initialized or audio is playing
    */
   resetChart() {
     // Clear arrays in place (Chart.js holds references to these arrays)
-    this.chartData.inputData.length = 0;
-    this.chartData.outputData.length = 0;
-    this.chartData.thresholdData.length = 0;
+    this.clearChartData();
+    this.resetZoom();
+
+    // A new chart starts a new integrated loudness measurement
+    this.loudnessMeter.reset();
 
     // Update chart if it exists
     if (this.chart) {
@@ -338,49 +782,153 @@ class AudioVisualizer {
   }
 
   /**
-   * Start recording diagnostic data
+   * Reduce an AudioBuffer to a peak envelope (loudest channel per time bucket)
+   */
+  computePeakEnvelope(audioBuffer, buckets = WAVEFORM_BUCKETS) {
+    const { length, sampleRate, numberOfChannels } = audioBuffer;
+    const bucketSize = Math.max(1, Math.ceil(length / buckets));
+    const envelope = [];
+
+    const channels = [];
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+      channels.push(audioBuffer.getChannelData(ch));
+    }
+
+    for (let start = 0; start < length; start += bucketSize) {
+      const end = Math.min(start + bucketSize, length);
+      let peak = 0;
+      for (const data of channels) {
+        for (let i = start; i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > peak) peak = value;
+        }
+      }
+      envelope.push({ x: start / sampleRate, y: peak });
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Draw a before/after waveform comparison of an offline render
+   */
+  showWaveformComparison(inputBuffer, outputBuffer, canvasId = 'waveformChart') {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const inputEnvelope = this.computePeakEnvelope(inputBuffer);
+    const outputEnvelope = this.computePeakEnvelope(outputBuffer);
+
+    if (this.waveformChart) {
+      this.waveformChart.data.datasets[0].data = inputEnvelope;
+      this.waveformChart.data.datasets[1].data = outputEnvelope;
+      this.waveformChart.options.scales.x.max = inputBuffer.duration;
+      this.waveformChart.update('none');
+      return;
+    }
+
+    this.waveformChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: 'Original',
+            data: inputEnvelope,
+            borderColor: '#3498db',
+            backgroundColor: 'rgba(52, 152, 219, 0.2)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: true
+          },
+          {
+            label: 'Processed',
+            data: outputEnvelope,
+            borderColor: '#e74c3c',
+            backgroundColor: 'rgba(231, 76, 60, 0.3)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: true
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        scales: {
+          x: {
+            type: 'linear',
+            title: {
+              display: true,
+              text: 'Time (s)'
+            },
+            min: 0,
+            max: inputBuffer.duration,
+            ticks: {
+              maxTicksLimit: 10
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Peak Amplitude'
+            },
+            min: 0,
+            max: 1
+          }
+        },
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top'
+          },
+          tooltip: {
+            enabled: false
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Start recording a diagnostics session (levels plus the settings and their changes)
    */
   startRecording() {
-    this.recordingData = [];
-    this.recordingStartTime = performance.now();
+    const { audioCtx } = this.processor;
+
+    this.recording = new DiagnosticsSession({
+      sampleRate: audioCtx ? audioCtx.sampleRate : null,
+      channelCount: this.processor.channelCount,
+      startAudioTime: audioCtx ? audioCtx.currentTime : null,
+      parameters: this.processor.getParameters(),
+      detectionSource: this.processor.detectionSource,
+      isBypassed: this.processor.isBypassed,
+    });
     this.isRecording = true;
   }
 
   /**
-   * Stop recording and return the collected data
+   * Stop recording and return the recorded session (null if nothing was recorded)
    */
   stopRecording() {
     this.isRecording = false;
-    return this.recordingData;
+    return this.recording;
   }
 
   /**
-   * Export recording data as downloadable CSV file
+   * Export the recorded session as a downloadable file
+   * Format follows the filename: .json for JSON, otherwise CSV with a header block
    */
-  exportRecordingData(filename = 'audio-diagnostics.csv') {
-    const data = this.stopRecording();
+  exportRecordingData(filename = 'audio-diagnostics.csv', format = filename.endsWith('.json') ? 'json' : 'csv') {
+    const session = this.stopRecording();
 
-    if (data.length === 0) {
+    if (!session || session.frames.length === 0) {
       console.warn('[Diagnostics] No data to export');
       return;
     }
 
-    const headers = Object.keys(data[0]);
-    const csvHeader = headers.join(',');
-
-    const csvRows = data.map(entry => {
-      return headers.map(header => {
-        const value = entry[header];
-        if (typeof value === 'string' && value.includes(',')) {
-          return `"${value}"`;
-        }
-        return value;
-      }).join(',');
-    });
-
-    const csvContent = [csvHeader, ...csvRows].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const content = format === 'json' ? session.serializeJSON() : session.serializeCSV();
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -388,4 +936,41 @@ class AudioVisualizer {
     link.click();
     URL.revokeObjectURL(url);
   }
+
+  /**
+   * Draw an exported session (JSON or CSV text) over the live chart for comparison
+   * Returns the parsed DiagnosticsSession, throws if the text isn't a session
+   */
+  importSession(text) {
+    const session = DiagnosticsSession.parse(text);
+    this.importedSession = session;
+
+    const { inputData, outputData } = this.sessionData;
+    inputData.length = 0;
+    outputData.length = 0;
+    for (const frame of session.frames) {
+      const x = frame.chartTime ?? frame.time;
+      inputData.push({ x, y: frame.inputDb });
+      outputData.push({ x, y: frame.outputDb });
+    }
+
+    if (this.chart) {
+      this.chart.update('none');
+    }
+    return session;
+  }
+
+  /**
+   * Remove the imported session from the chart
+   */
+  clearImportedSession() {
+    this.importedSession = null;
+    for (const data of Object.values(this.sessionData)) {
+      data.length = 0;
+    }
+
+    if (this.chart) {
+      this.chart.update('none');
+    }
+  }
 }
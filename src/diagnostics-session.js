@@ -0,0 +1,236 @@
+/**
+ * Recorded diagnostics session: per-frame levels plus the context needed to read them
+ * (sample rate, starting settings and every settings change on the audio clock)
+ * Serializes to JSON or to CSV with a "# key: value" header block, and parses either back
+ */
+export const SESSION_FORMAT = 'volume-clamp-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+// Per-frame columns, in CSV order, with the decimals each one is stored with
+const FRAME_COLUMNS = {
+  time: 3,            // s since recording started (audio clock)
+  audioTime: 3,       // AudioContext currentTime
+  chartTime: 3,       // x position in the live chart (file position, or elapsed time for live input)
+  inputDb: 2,
+  outputDb: 2,
+  threshold: 2,
+  reductionDb: 2,
+  reductionPercent: 2,
+  detectorDb: 2,
+  momentaryLufs: 2,
+  shortTermLufs: 2,
+  aboveThreshold: null, // boolean
+};
+
+// Header block entries holding JSON rather than plain values
+const JSON_HEADER_KEYS = ['parameters', 'event'];
+
+/**
+ * Round to a fixed number of decimals, null for missing or non-finite values (e.g. silent LUFS)
+ */
+function roundTo(value, decimals) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  const scale = Math.pow(10, decimals);
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * Turn a CSV cell or header value back into a number, boolean, null or string
+ */
+function parseValue(text) {
+  if (text === '') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  const number = Number(text);
+  return Number.isNaN(number) ? text : number;
+}
+
+export class DiagnosticsSession {
+  constructor({
+    createdAt = new Date().toISOString(),
+    sampleRate = null,
+    channelCount = null,
+    startAudioTime = null,
+    parameters = {},
+    detectionSource = null,
+    isBypassed = false,
+  } = {}) {
+    this.createdAt = createdAt;
+    this.sampleRate = sampleRate;
+    this.channelCount = channelCount;
+    this.startAudioTime = startAudioTime;
+    this.parameters = { ...parameters };
+    this.detectionSource = detectionSource;
+    this.isBypassed = isBypassed;
+    this.events = [];  // { time, audioTime, changes } for every settings change
+    this.frames = [];
+  }
+
+  /**
+   * Seconds since the recording started for an AudioContext time
+   * (the first frame or event starts the clock if the context wasn't running yet)
+   */
+  elapsed(audioTime) {
+    if (this.startAudioTime === null) {
+      this.startAudioTime = audioTime;
+    }
+    return audioTime - this.startAudioTime;
+  }
+
+  /**
+   * Add one frame of levels, taken at the given AudioContext time
+   */
+  addFrame(audioTime, frame) {
+    const values = { ...frame, time: this.elapsed(audioTime), audioTime };
+    const row = {};
+
+    for (const [column, decimals] of Object.entries(FRAME_COLUMNS)) {
+      row[column] = decimals === null ? Boolean(values[column]) : roundTo(values[column], decimals);
+    }
+
+    this.frames.push(row);
+  }
+
+  /**
+   * Log a settings change (same shape as updateParameters takes) at the given AudioContext time
+   */
+  addEvent(audioTime, changes) {
+    this.events.push({
+      time: roundTo(this.elapsed(audioTime), FRAME_COLUMNS.time),
+      audioTime: roundTo(audioTime, FRAME_COLUMNS.audioTime),
+      changes: { ...changes },
+    });
+  }
+
+  /**
+   * Recording length in seconds
+   */
+  get duration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+  }
+
+  /**
+   * Plain object form, used by JSON.stringify
+   */
+  toJSON() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      createdAt: this.createdAt,
+      sampleRate: this.sampleRate,
+      channelCount: this.channelCount,
+      startAudioTime: this.startAudioTime,
+      parameters: this.parameters,
+      detectionSource: this.detectionSource,
+      isBypassed: this.isBypassed,
+      events: this.events,
+      frames: this.frames,
+    };
+  }
+
+  /**
+   * Serialize as a JSON document
+   */
+  serializeJSON() {
+    return JSON.stringify(this, null, 2);
+  }
+
+  /**
+   * Serialize as CSV: a "# key: value" header block with the session details and
+   * one "# event:" line per settings change, then one row per frame
+   */
+  serializeCSV() {
+    const header = [
+      `# format: ${SESSION_FORMAT}`,
+      `# version: ${SESSION_FORMAT_VERSION}`,
+      `# createdAt: ${this.createdAt}`,
+      `# sampleRate: ${this.sampleRate ?? ''}`,
+      `# channelCount: ${this.channelCount ?? ''}`,
+      `# startAudioTime: ${this.startAudioTime ?? ''}`,
+      `# detectionSource: ${this.detectionSource ?? ''}`,
+      `# isBypassed: ${this.isBypassed}`,
+      `# parameters: ${JSON.stringify(this.parameters)}`,
+      ...this.events.map((event) => `# event: ${JSON.stringify(event)}`),
+    ];
+
+    const columns = Object.keys(FRAME_COLUMNS);
+    const rows = this.frames.map((frame) => columns.map((column) => frame[column] ?? '').join(','));
+
+    return [...header, columns.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Read a session back from either serialized form
+   * Older header-less CSV exports (timestamp column in ms) load as frames only
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('{')
+      ? DiagnosticsSession.fromJSON(JSON.parse(trimmed))
+      : DiagnosticsSession.fromCSV(trimmed);
+  }
+
+  /**
+   * Build a session from its JSON form
+   */
+  static fromJSON(data) {
+    if (!data || data.format !== SESSION_FORMAT || !Array.isArray(data.frames)) {
+      throw new Error('Not a diagnostics session file.');
+    }
+
+    const session = new DiagnosticsSession(data);
+    session.events = Array.isArray(data.events) ? data.events : [];
+    session.frames = data.frames;
+    return session;
+  }
+
+  /**
+   * Build a session from its CSV form
+   */
+  static fromCSV(text) {
+    const lines = text.split(/\r?\n/);
+    const details = { events: [] };
+
+    let line = 0;
+    for (; line < lines.length && lines[line].startsWith('#'); line++) {
+      const entry = lines[line].slice(1).trim();
+      const separator = entry.indexOf(':');
+      if (separator === -1) continue;
+
+      const key = entry.slice(0, separator).trim();
+      const value = entry.slice(separator + 1).trim();
+      if (key === 'event') {
+        details.events.push(JSON.parse(value));
+      } else if (JSON_HEADER_KEYS.includes(key)) {
+        details[key] = JSON.parse(value);
+      } else {
+        details[key] = key === 'createdAt' ? value : parseValue(value);
+      }
+    }
+
+    const columns = (lines[line] || '').split(',');
+    const isLegacy = details.format === undefined && columns.includes('timestamp');
+    if (details.format !== SESSION_FORMAT && !isLegacy) {
+      throw new Error('Not a diagnostics session file.');
+    }
+
+    const frames = [];
+    for (const row of lines.slice(line + 1)) {
+      if (row.trim() === '') continue;
+
+      const cells = row.split(',');
+      const frame = {};
+      columns.forEach((column, i) => { frame[column] = parseValue(cells[i] ?? ''); });
+
+      if (isLegacy) {
+        // Old exports timed frames with performance.now() in ms
+        frame.time = frame.timestamp / 1000;
+        frame.chartTime = frame.time;
+        delete frame.timestamp;
+      }
+      frames.push(frame);
+    }
+
+    return DiagnosticsSession.fromJSON({ ...details, format: SESSION_FORMAT, frames });
+  }
+}
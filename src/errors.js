@@ -0,0 +1,45 @@
+/**
+ * Error types thrown by VoiceVolumeNormalizer and dispatched with its 'error' events
+ * Each carries a stable `code`, so callers can tell failures apart without matching messages
+ */
+export class NormalizerError extends Error {
+  constructor(message, { code = 'normalizer-error', cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'NormalizerError';
+    this.code = code;
+  }
+}
+
+/**
+ * A setting that can't be used: not a number (or NaN), or not one of the allowed choices
+ * Numbers outside a setting's range are clamped rather than rejected
+ */
+export class ParameterError extends NormalizerError {
+  constructor(parameter, value, expected) {
+    super(`Invalid value for "${parameter}": ${String(value)} (expected ${expected})`, { code: 'invalid-parameter' });
+    this.name = 'ParameterError';
+    this.parameter = parameter;
+    this.value = value;
+  }
+}
+
+/**
+ * A method called in a lifecycle state that doesn't allow it (e.g. enable() before initialize())
+ */
+export class StateError extends NormalizerError {
+  constructor(message, state, { code = 'invalid-state' } = {}) {
+    super(message, { code });
+    this.name = 'StateError';
+    this.state = state;
+  }
+}
+
+/**
+ * The worklet module failed to load, or the limiter node couldn't be created
+ */
+export class InitializationError extends NormalizerError {
+  constructor(message, { code = 'initialization-failed', cause } = {}) {
+    super(message, { code, cause });
+    this.name = 'InitializationError';
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Hearing-protection monitor fed by a normalizer's processed output
+ * Turns the worklet's 100ms loudness blocks into an estimated SPL (through a dBFS -> SPL
+ * calibration offset) and accumulates a noise dose in the style of the NIOSH / WHO formulas.
+ * Also logs overshoots, where the detected input went more than N dB over the ceiling.
+ */
+import { powerToLufs } from './loudness-meter.js';
+import { ParameterError } from './errors.js';
+
+// Criterion level that is allowed for the criterion time, and how many dB halve that time
+export const EXPOSURE_STANDARDS = Object.freeze({
+  niosh: Object.freeze({ criterionLevel: 85, criterionTime: 8 * 3600, exchangeRate: 3 }),  // occupational, per day
+  who: Object.freeze({ criterionLevel: 80, criterionTime: 40 * 3600, exchangeRate: 3 }),   // safe listening, per week
+});
+
+const DEFAULT_CALIBRATION_OFFSET = 100; // dB - 0 dBFS played as roughly 100 dB SPL (typical headphones at full volume)
+const DEFAULT_ALERT_LEVELS = [50, 100]; // % dose
+const DEFAULT_OVERSHOOT_THRESHOLD = 6;  // dB over the ceiling before an overshoot is logged
+const MAX_OVERSHOOT_LOG = 200;          // oldest overshoots are dropped past this
+
+export class ExposureMonitor extends EventTarget {
+  constructor({
+    standard = 'niosh',
+    calibrationOffset = DEFAULT_CALIBRATION_OFFSET,
+    alertLevels = DEFAULT_ALERT_LEVELS,
+    overshootThreshold = DEFAULT_OVERSHOOT_THRESHOLD,
+  } = {}) {
+    super();
+    this.processor = null;
+    this.listeners = null;
+
+    this.standard = EXPOSURE_STANDARDS.niosh;
+    this.standardName = 'niosh';
+    this.setStandard(standard);
+    this.calibrationOffset = calibrationOffset; // dB added to the output level (dBFS) to estimate SPL
+    this.alertLevels = alertLevels.slice().sort((a, b) => a - b);
+    this.overshootThreshold = overshootThreshold;
+
+    this.reset();
+  }
+
+  /**
+   * Start a new measurement (dose, average level, alerts and the overshoot log)
+   */
+  reset() {
+    // Fraction of the allowed dose (1 = 100%) under every standard, so switching keeps the history
+    this.doses = Object.fromEntries(Object.keys(EXPOSURE_STANDARDS).map((name) => [name, 0]));
+    this.elapsed = 0;         // s of audio measured
+    this.energy = 0;          // sum of duration * 10^(SPL/10), for the average level
+    this.currentSpl = null;   // estimated SPL of the last block
+    this.nextAlert = 0;       // index of the next alert level to raise
+    this.overshoots = [];
+    this.activeOvershoot = null;
+  }
+
+  /**
+   * Follow a VoiceVolumeNormalizer (or anything posting 'loudness' and 'telemetry' events)
+   */
+  attach(processor) {
+    this.detach();
+
+    this.processor = processor;
+    this.listeners = {
+      loudness: (event) => this.addBlock(event.detail.power, event.detail.duration),
+      telemetry: (event) => this.addTelemetry(event.detail),
+    };
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      processor.addEventListener(type, listener);
+    }
+  }
+
+  /**
+   * Stop following the processor (the measurement so far is kept)
+   */
+  detach() {
+    if (!this.processor) return;
+
+    for (const [type, listener] of Object.entries(this.listeners)) {
+      this.processor.removeEventListener(type, listener);
+    }
+    this.processor = null;
+    this.listeners = null;
+  }
+
+  /**
+   * Choose the dose formula: 'niosh' or 'who' (the dose so far is kept for both)
+   */
+  setStandard(name) {
+    if (!Object.prototype.hasOwnProperty.call(EXPOSURE_STANDARDS, name)) {
+      throw new ParameterError('standard', name, `one of ${Object.keys(EXPOSURE_STANDARDS).join(', ')}`);
+    }
+    const standard = EXPOSURE_STANDARDS[name];
+
+    this.standard = standard;
+    this.standardName = name;
+  }
+
+  /**
+   * Dose so far under the current standard (1 = 100%)
+   */
+  get dose() {
+    return this.doses[this.standardName];
+  }
+
+  /**
+   * Change the dBFS -> SPL offset (applies to audio measured from now on)
+   */
+  setCalibrationOffset(offset) {
+    this.calibrationOffset = offset;
+  }
+
+  /**
+   * Seconds a level may be listened to before it alone reaches a 100% dose
+   */
+  allowedTime(spl, standard = this.standard) {
+    const { criterionLevel, criterionTime, exchangeRate } = standard;
+    return criterionTime / Math.pow(2, (spl - criterionLevel) / exchangeRate);
+  }
+
+  /**
+   * Add one block of K-weighted output power, as posted by the worklet
+   */
+  addBlock(power, duration) {
+    const lufs = powerToLufs(power);
+    this.elapsed += duration;
+
+    if (lufs === -Infinity) {
+      this.currentSpl = null;
+    } else {
+      this.currentSpl = lufs + this.calibrationOffset;
+      this.energy += duration * Math.pow(10, this.currentSpl / 10);
+      for (const [name, standard] of Object.entries(EXPOSURE_STANDARDS)) {
+        this.doses[name] += duration / this.allowedTime(this.currentSpl, standard);
+      }
+    }
+
+    const state = this.getState();
+    this.dispatchEvent(new CustomEvent('exposure', { detail: state }));
+
+    while (this.nextAlert < this.alertLevels.length && state.dosePercent >= this.alertLevels[this.nextAlert]) {
+      const level = this.alertLevels[this.nextAlert++];
+      this.dispatchEvent(new CustomEvent('dosealert', { detail: { level, ...state } }));
+    }
+  }
+
+  /**
+   * Check one telemetry report for the detected input going too far over the ceiling
+   * An overshoot is logged (and an 'overshoot' event raised) when it starts, then grows until it ends
+   */
+  addTelemetry({ time, detectorDb, threshold }) {
+    const overshootDb = detectorDb - threshold;
+
+    if (overshootDb > this.overshootThreshold) {
+      if (this.activeOvershoot) {
+        this.activeOvershoot.peakOvershootDb = Math.max(this.activeOvershoot.peakOvershootDb, overshootDb);
+        this.activeOvershoot.duration = time - this.activeOvershoot.time;
+        return;
+      }
+
+      this.activeOvershoot = { time, duration: 0, threshold, peakOvershootDb: overshootDb };
+      this.overshoots.push(this.activeOvershoot);
+      if (this.overshoots.length > MAX_OVERSHOOT_LOG) {
+        this.overshoots.shift();
+      }
+      this.dispatchEvent(new CustomEvent('overshoot', { detail: this.activeOvershoot }));
+    } else if (this.activeOvershoot) {
+      this.activeOvershoot.duration = time - this.activeOvershoot.time;
+      this.activeOvershoot = null;
+    }
+  }
+
+  /**
+   * Average (equivalent continuous) SPL of everything measured, null before any sound
+   */
+  getAverageLevel() {
+    return this.energy > 0 && this.elapsed > 0 ? 10 * Math.log10(this.energy / this.elapsed) : null;
+  }
+
+  /**
+   * Dose so far plus how long the current level could continue before reaching 100%
+   */
+  getState() {
+    const dosePercent = this.dose * 100;
+    const remainingTime = this.currentSpl === null
+      ? null
+      : Math.max(0, (1 - this.dose) * this.allowedTime(this.currentSpl));
+
+    return {
+      standard: this.standardName,
+      dosePercent,
+      elapsed: this.elapsed,
+      currentSpl: this.currentSpl,
+      averageSpl: this.getAverageLevel(),
+      remainingTime,
+      overshootCount: this.overshoots.length,
+    };
+  }
+}
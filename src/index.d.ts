@@ -0,0 +1,548 @@
+/**
+ * Type declarations for the volume-clamp-web-audio package
+ */
+
+export type DetectionMode = 'rms' | 'peak' | 'true-peak' | 'loudness';
+export type ChannelMode = 'linked-max' | 'linked-sum' | 'independent';
+export type DetectionSource = 'internal' | 'external';
+export type ThresholdMode = 'fixed' | 'adaptive';
+
+/** Settings in the units VoiceVolumeNormalizer uses (dB and ms) */
+export interface LimiterParameters {
+  threshold: number;
+  knee: number;
+  ratio: number;
+  floor: number;
+  maxBoost: number;
+  gateThreshold: number;
+  attackTime: number;
+  releaseTime: number;
+  rmsWindow: number;
+  lookaheadTime: number;
+  /** % of the limited signal in the output */
+  mix: number;
+  detectionMode: DetectionMode;
+  channelMode: ChannelMode;
+  /** 'adaptive' sets the ceiling from the input's speech level instead of threshold */
+  thresholdMode: ThresholdMode;
+  /** dB above the speech level */
+  adaptiveOffset: number;
+  /** dB, bounds of the adaptive threshold */
+  minThreshold: number;
+  maxThreshold: number;
+  /** ms time constant of the speech level */
+  adaptationTime: number;
+}
+
+/** One multiband band, in the units VoiceVolumeNormalizer uses (dB and ms) */
+export interface BandSettings {
+  threshold: number;
+  attackTime: number;
+  releaseTime: number;
+}
+
+export interface NormalizerParameters extends LimiterParameters {
+  /** ms between telemetry reports, 0 turns them off */
+  telemetryInterval: number;
+  /** ms setBypass() crossfades over by default */
+  bypassFadeTime: number;
+  /** 1 = broadband only, 2 to MAX_BANDS = multiband */
+  bandCount: number;
+  /** Hz, the first bandCount - 1 are used */
+  crossovers: number[];
+  /** Settings of each band, lowest first */
+  bands: BandSettings[];
+}
+
+export type LimiterParamName =
+  | 'threshold'
+  | 'knee'
+  | 'ratio'
+  | 'floor'
+  | 'maxBoost'
+  | 'gateThreshold'
+  | 'attackTime'
+  | 'releaseTime'
+  | 'rmsWindow'
+  | 'lookaheadTime'
+  | 'bypass'
+  | 'mix';
+
+/** Gain-reduction report posted by the worklet */
+export interface LimiterTelemetry {
+  type: 'telemetry';
+  time: number;
+  currentGain: number;
+  gainReductionDb: number;
+  peakReductionDb: number;
+  detectorDb: number;
+  /** Ceiling in use: the threshold param, or the adaptive threshold */
+  threshold: number;
+  latencySamples: number;
+  /** Worst reduction of each band since the last report (empty when multiband is off) */
+  bandReductionDb: number[];
+  /** Long-term speech level behind the adaptive threshold (null while the threshold is fixed) */
+  speechLevelDb: number | null;
+  /** Voice activity in the latest analysis frame (always false while the threshold is fixed) */
+  voiceActive: boolean;
+}
+
+/** 100ms block of K-weighted output power posted by the worklet */
+export interface LoudnessBlock {
+  type: 'loudness';
+  time: number;
+  duration: number;
+  power: number;
+}
+
+export interface LimiterEventMap {
+  telemetry: CustomEvent<LimiterTelemetry>;
+  loudness: CustomEvent<LoudnessBlock>;
+}
+
+/** Settings changed through VoiceVolumeNormalizer, with the AudioContext time (null before initialize) */
+export interface ParameterChange {
+  time: number | null;
+  changes: Partial<NormalizerParameters> & { bypass?: boolean; detectionSource?: DetectionSource };
+}
+
+export type NormalizerState = 'uninitialized' | 'loading' | 'ready' | 'active' | 'interrupted' | 'destroyed';
+
+export interface NormalizerStateChange {
+  state: NormalizerState;
+  previousState: NormalizerState;
+  /** Why, when it wasn't a method call: 'context-closed', 'context-interrupted', 'context-resumed' or 'initialization-failed' */
+  reason: string | null;
+}
+
+export interface NormalizerEventMap extends LimiterEventMap {
+  parameterchange: CustomEvent<ParameterChange>;
+  statechange: CustomEvent<NormalizerStateChange>;
+  contextstatechange: CustomEvent<{ contextState: AudioContextState | 'interrupted' }>;
+  error: CustomEvent<{ error: NormalizerError }>;
+}
+
+export class NormalizerError extends Error {
+  constructor(message: string, options?: { code?: string; cause?: unknown });
+  code: string;
+}
+
+/** A setting that is not a number (or is NaN), or not one of the allowed choices */
+export class ParameterError extends NormalizerError {
+  constructor(parameter: string, value: unknown, expected: string);
+  parameter: string;
+  value: unknown;
+}
+
+/** A method called in a lifecycle state that doesn't allow it */
+export class StateError extends NormalizerError {
+  constructor(message: string, state: NormalizerState, options?: { code?: string });
+  state: NormalizerState;
+}
+
+/** The worklet failed to load or the limiter node couldn't be created */
+export class InitializationError extends NormalizerError {
+  constructor(message: string, options?: { code?: string; cause?: unknown });
+}
+
+export const NORMALIZER_STATES: readonly NormalizerState[];
+/** [min, max] of every numeric setting, in VoiceVolumeNormalizer units */
+export const PARAMETER_RANGES: Readonly<Record<string, readonly [number, number]>>;
+export const PARAMETER_CHOICES: Readonly<{
+  detectionMode: readonly DetectionMode[];
+  channelMode: readonly ChannelMode[];
+  thresholdMode: readonly ThresholdMode[];
+  detectionSource: readonly DetectionSource[];
+}>;
+/** Clamp numbers to PARAMETER_RANGES, throw ParameterError for unusable values */
+export function validateParameters(params: Partial<NormalizerParameters>): Partial<NormalizerParameters>;
+
+export interface TransferCurvePoint {
+  x: number;
+  y: number;
+}
+
+export const MAX_RATIO: number;
+export const MAX_BANDS: number;
+export const DEFAULT_CROSSOVERS: readonly number[];
+export const DEFAULT_PARAMETERS: Readonly<LimiterParameters>;
+
+/** URL of limiter-worklet.js, resolved next to the package's modules */
+export const LIMITER_WORKLET_URL: string;
+
+/** Static gain change (dB) for an input level under the given settings */
+export function computeGainDb(
+  levelDb: number,
+  settings: Pick<LimiterParameters, 'threshold' | 'knee' | 'ratio' | 'floor' | 'maxBoost' | 'gateThreshold'>
+): number;
+
+/** Turn worklet source text into a Blob URL usable as a workletUrl */
+export function createWorkletURL(source: string): string;
+
+/** LimiterNode options: AudioParam values in worklet units (dB, seconds) plus discrete options */
+export interface LimiterNodeOptions {
+  channelCount?: number;
+  threshold?: number;
+  knee?: number;
+  ratio?: number;
+  floor?: number;
+  maxBoost?: number;
+  gateThreshold?: number;
+  attackTime?: number;
+  releaseTime?: number;
+  rmsWindow?: number;
+  lookaheadTime?: number;
+  /** 0 = limited, 1 = bypassed */
+  bypass?: number;
+  /** 0 (dry) to 1 (limited) */
+  mix?: number;
+  detectionMode?: DetectionMode;
+  channelMode?: ChannelMode;
+  detectionSource?: DetectionSource;
+  /** seconds between telemetry reports, 0 turns them off */
+  telemetryInterval?: number;
+  /** 100ms 'loudness' blocks, on by default (independent of telemetryInterval) */
+  loudnessReports?: boolean;
+  bandCount?: number;
+  /** Hz */
+  crossovers?: number[];
+  /** threshold in dB, attack and release in seconds */
+  bands?: Partial<BandSettings>[];
+  thresholdMode?: ThresholdMode;
+  adaptiveOffset?: number;
+  minThreshold?: number;
+  maxThreshold?: number;
+  /** seconds */
+  adaptationTime?: number;
+}
+
+export interface LimiterNodeRuntimeOptions {
+  detectionMode?: DetectionMode;
+  channelMode?: ChannelMode;
+  detectionSource?: DetectionSource;
+  telemetryInterval?: number;
+  loudnessReports?: boolean;
+  bandCount?: number;
+  crossovers?: number[];
+  bands?: Partial<BandSettings>[];
+  thresholdMode?: ThresholdMode;
+  adaptiveOffset?: number;
+  minThreshold?: number;
+  maxThreshold?: number;
+  adaptationTime?: number;
+}
+
+/**
+ * The limiter as a native-style node, in worklet units (dB and seconds)
+ * threshold, attackTime, releaseTime, bypass and mix are read per sample, the other params once per 128-sample block
+ */
+export class LimiterNode extends AudioWorkletNode {
+  constructor(context: BaseAudioContext, options?: LimiterNodeOptions);
+
+  /** Adds the worklet module once per context */
+  static addModule(context: BaseAudioContext, workletUrl?: string | URL): Promise<void>;
+
+  readonly threshold: AudioParam;
+  readonly knee: AudioParam;
+  readonly ratio: AudioParam;
+  readonly attackTime: AudioParam;
+  readonly releaseTime: AudioParam;
+  readonly rmsWindow: AudioParam;
+  readonly lookaheadTime: AudioParam;
+  readonly floor: AudioParam;
+  readonly maxBoost: AudioParam;
+  readonly gateThreshold: AudioParam;
+  readonly bypass: AudioParam;
+  readonly mix: AudioParam;
+
+  setOptions(options: LimiterNodeRuntimeOptions): void;
+
+  addEventListener<K extends keyof LimiterEventMap>(
+    type: K,
+    listener: (this: LimiterNode, event: LimiterEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+}
+
+/** Load the worklet if needed and resolve to a ready LimiterNode */
+export function createLimiterNode(
+  context: BaseAudioContext,
+  options?: LimiterNodeOptions & { workletUrl?: string | URL }
+): Promise<LimiterNode>;
+
+export interface VoiceVolumeNormalizerOptions {
+  channelCount?: number;
+  workletUrl?: string | URL;
+}
+
+/** Limiter wrapper in dB, ms and %, with a lifecycle that follows its AudioContext */
+export class VoiceVolumeNormalizer extends EventTarget {
+  constructor(threshold?: number, options?: VoiceVolumeNormalizerOptions);
+
+  audioCtx: BaseAudioContext | null;
+  sourceNode: AudioNode | null;
+  destinationNode: AudioNode | null;
+  limiterNode: LimiterNode | null;
+  sidechainNode: AudioNode | null;
+  detectionSource: DetectionSource;
+  channelCount: number;
+  workletUrl: string | URL;
+  telemetry: LimiterTelemetry | null;
+  readonly state: NormalizerState;
+  readonly isActive: boolean;
+  isBypassed: boolean;
+  readonly isWorkletLoaded: boolean;
+
+  /**
+   * The same context does nothing (or waits for the load in progress); a new one rebuilds the limiter there with the current settings
+   * Rejects with InitializationError, or StateError 'initialization-superseded' when destroyed or re-initialized mid-load
+   */
+  initialize(audioContext: BaseAudioContext): Promise<void>;
+  enable(sourceNode: AudioNode, destinationNode: AudioNode): void;
+  disable(): void;
+  /** Crossfade (ms) to the dry signal inside the worklet, keeping the lookahead latency */
+  setBypass(bypassed: boolean, options?: { fadeTime?: number }): void;
+  /** Limit a MediaStream and return the processed one */
+  enableStream(mediaStream: MediaStream): MediaStream;
+  /** Detach the stream input; the caller still owns the original tracks */
+  stopStream(): void;
+  /** Drive the gain from another node's level instead (switches to external detection by default) */
+  connectSidechain(sidechainNode: AudioNode, options?: { external?: boolean }): void;
+  disconnectSidechain(options?: { internal?: boolean }): void;
+  setDetectionSource(detectionSource: DetectionSource): void;
+  /** Ceiling in use (dB): the threshold, or the latest adaptive threshold from telemetry */
+  getEffectiveThreshold(): number;
+  getParameters(): NormalizerParameters;
+  updateParameters(params?: Partial<NormalizerParameters> & { detectionSource?: DetectionSource }): void;
+  updateBand(index: number, settings: Partial<BandSettings>): void;
+  getParam(name: LimiterParamName): AudioParam | null;
+  /** Static input -> output curve (dB), at the effective threshold in adaptive mode */
+  getTransferCurve(range?: { minDb?: number; maxDb?: number; step?: number }): TransferCurvePoint[];
+  /** Lookahead latency, null before initialize */
+  getLatency(): { samples: number; ms: number } | null;
+  destroy(): void;
+
+  addEventListener<K extends keyof NormalizerEventMap>(
+    type: K,
+    listener: (this: VoiceVolumeNormalizer, event: NormalizerEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+}
+
+/** One limiter per voice, summed into a shared master ceiling */
+export class VoiceLimiterHub {
+  constructor(masterThreshold?: number, options?: { workletUrl?: string | URL });
+
+  master: VoiceVolumeNormalizer;
+  mixBus: GainNode | null;
+
+  initialize(audioContext: BaseAudioContext, destinationNode?: AudioNode): Promise<void>;
+  /** Resolves to null if the source is removed while its limiter loads */
+  addSource(
+    id: string,
+    sourceNode: AudioNode,
+    params?: Partial<NormalizerParameters>
+  ): Promise<VoiceVolumeNormalizer | null>;
+  removeSource(id: string): boolean;
+  setSourceEnabled(id: string, enabled: boolean): void;
+  updateSourceParameters(id: string, params: Partial<NormalizerParameters>): void;
+  updateMasterParameters(params: Partial<NormalizerParameters>): void;
+  setMasterEnabled(enabled: boolean): void;
+  getSource(id: string): VoiceVolumeNormalizer | null;
+  getSourceIds(): string[];
+  destroy(): void;
+}
+
+export type ABOption = 'A' | 'B' | 'dry';
+
+export const AB_OPTIONS: readonly ABOption[];
+
+export interface ABGuessResult {
+  correct: boolean;
+  answer: 'A' | 'B';
+  score: { trials: number; correct: number };
+}
+
+export interface ABComparatorEventMap {
+  select: CustomEvent<{ option: ABOption | 'X' }>;
+  guess: CustomEvent<ABGuessResult>;
+}
+
+/** Switches between settings A, B and the dry signal on three parallel, latency-aligned limiters (10ms crossfades) */
+export class ABComparator extends EventTarget {
+  constructor(options?: { channelCount?: number; workletUrl?: string | URL });
+
+  selected: ABOption | 'X';
+  isLoudnessMatched: boolean;
+  score: { trials: number; correct: number };
+
+  initialize(
+    audioContext: BaseAudioContext,
+    sourceNode: AudioNode,
+    destinationNode?: AudioNode,
+    settings?: { A?: Partial<NormalizerParameters>; B?: Partial<NormalizerParameters> }
+  ): Promise<void>;
+  select(option: ABOption | 'X'): void;
+  setSettings(option: 'A' | 'B', params: Partial<NormalizerParameters>): void;
+  getSettings(option: ABOption): NormalizerParameters | null;
+  getLatency(): { samples: number; ms: number } | null;
+  /** Turn every path down to the quietest one's integrated loudness (on by default) */
+  setLoudnessMatching(enabled: boolean): void;
+  getLoudness(): Partial<Record<ABOption, number | null>>;
+  /** Make X either A or B at random until guess() */
+  startBlindTrial(): void;
+  guess(option: 'A' | 'B'): ABGuessResult | null;
+  resetScore(): void;
+  destroy(): void;
+
+  addEventListener<K extends keyof ABComparatorEventMap>(
+    type: K,
+    listener: (this: ABComparator, event: ABComparatorEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+}
+
+export interface LoudnessReadings {
+  momentaryLufs: number | null;
+  shortTermLufs: number | null;
+  integratedLufs: number | null;
+}
+
+export function powerToLufs(power: number): number;
+
+/** BS.1770 momentary (400ms), short-term (3s) and gated integrated loudness from 'loudness' blocks */
+export class LoudnessMeter {
+  reset(): void;
+  addBlock(power: number): void;
+  getMomentary(): number | null;
+  getShortTerm(): number | null;
+  getIntegrated(): number | null;
+  getLoudness(): LoudnessReadings;
+}
+
+export type ExposureStandardName = 'niosh' | 'who';
+
+export interface ExposureStandard {
+  /** dB SPL allowed for the criterion time */
+  criterionLevel: number;
+  /** Seconds */
+  criterionTime: number;
+  /** dB that halves the allowed time */
+  exchangeRate: number;
+}
+
+export const EXPOSURE_STANDARDS: Readonly<Record<ExposureStandardName, Readonly<ExposureStandard>>>;
+
+export interface ExposureState {
+  standard: ExposureStandardName;
+  dosePercent: number;
+  /** Seconds of audio measured */
+  elapsed: number;
+  currentSpl: number | null;
+  averageSpl: number | null;
+  /** Seconds the current level could continue before a 100% dose */
+  remainingTime: number | null;
+  overshootCount: number;
+}
+
+/** Detected input more than overshootThreshold dB over the ceiling */
+export interface Overshoot {
+  time: number;
+  duration: number;
+  threshold: number;
+  peakOvershootDb: number;
+}
+
+export interface ExposureMonitorEventMap {
+  exposure: CustomEvent<ExposureState>;
+  dosealert: CustomEvent<ExposureState & { level: number }>;
+  overshoot: CustomEvent<Overshoot>;
+}
+
+/** Noise dose of a normalizer's output loudness; calibrationOffset is the dB SPL 0 dBFS plays at */
+export class ExposureMonitor extends EventTarget {
+  constructor(options?: {
+    standard?: ExposureStandardName;
+    calibrationOffset?: number;
+    alertLevels?: number[];
+    overshootThreshold?: number;
+  });
+
+  readonly dose: number;
+  standardName: ExposureStandardName;
+  calibrationOffset: number;
+  alertLevels: number[];
+  overshootThreshold: number;
+  overshoots: Overshoot[];
+
+  reset(): void;
+  attach(processor: VoiceVolumeNormalizer | LimiterNode): void;
+  detach(): void;
+  setStandard(name: ExposureStandardName): void;
+  setCalibrationOffset(offset: number): void;
+  allowedTime(spl: number, standard?: ExposureStandard): number;
+  addBlock(power: number, duration: number): void;
+  addTelemetry(report: Pick<LimiterTelemetry, 'time' | 'detectorDb' | 'threshold'>): void;
+  getAverageLevel(): number | null;
+  getState(): ExposureState;
+
+  addEventListener<K extends keyof ExposureMonitorEventMap>(
+    type: K,
+    listener: (this: ExposureMonitor, event: ExposureMonitorEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+}
+
+/** Renders clips through the worklet with a processor's settings, lookahead delay trimmed */
+export class OfflineLimiterRenderer {
+  constructor(processor: VoiceVolumeNormalizer);
+
+  decodeFile(file: Blob): Promise<AudioBuffer>;
+  render(inputBuffer: AudioBuffer): Promise<AudioBuffer>;
+  encodeWav(audioBuffer: AudioBuffer): Blob;
+  /** 16-bit PCM */
+  downloadWav(audioBuffer: AudioBuffer, filename?: string): void;
+}
+
+/** Everything a preset holds: the limiter settings plus the multiband layout */
+export type PresetParameters = LimiterParameters & Pick<NormalizerParameters, 'bandCount' | 'crossovers' | 'bands'>;
+
+export type PresetSettings = Partial<PresetParameters>;
+
+export const BUILTIN_PRESETS: Readonly<Record<string, Readonly<LimiterParameters>>>;
+
+/** Built-in presets plus custom ones kept in localStorage, shareable as JSON or a URL */
+export class PresetManager {
+  constructor(storage?: Storage);
+
+  getPresetNames(): string[];
+  isBuiltin(name: string): boolean;
+  getPreset(name: string): PresetParameters | null;
+  savePreset(name: string, settings: PresetSettings): void;
+  deletePreset(name: string): boolean;
+  exportPresets(names?: string[]): string;
+  /** Unknown settings are dropped; throws ParameterError for a malformed file */
+  importPresets(json: string): string[];
+  encodeToURL(settings: PresetSettings, baseURL?: string): string;
+  decodeFromURL(url?: string): PresetSettings | null;
+}
@@ -0,0 +1,24 @@
+/**
+ * Public entry point of the volume-clamp-web-audio package
+ * The worklet itself (limiter-worklet.js) is loaded at runtime, see LIMITER_WORKLET_URL
+ */
+export {
+  VoiceVolumeNormalizer,
+  DEFAULT_PARAMETERS,
+  DEFAULT_CROSSOVERS,
+  MAX_BANDS,
+  MAX_RATIO,
+  NORMALIZER_STATES,
+  PARAMETER_RANGES,
+  PARAMETER_CHOICES,
+  computeGainDb,
+  validateParameters,
+} from './audio-processor.js';
+export { NormalizerError, ParameterError, StateError, InitializationError } from './errors.js';
+export { LimiterNode, createLimiterNode, createWorkletURL, LIMITER_WORKLET_URL } from './limiter-node.js';
+export { VoiceLimiterHub } from './voice-limiter-hub.js';
+export { ABComparator, AB_OPTIONS } from './ab-comparator.js';
+export { LoudnessMeter, powerToLufs } from './loudness-meter.js';
+export { ExposureMonitor, EXPOSURE_STANDARDS } from './exposure-monitor.js';
+export { OfflineLimiterRenderer } from './offline-renderer.js';
+export { PresetManager, BUILTIN_PRESETS } from './presets.js';
@@ -0,0 +1,122 @@
+/**
+ * LimiterNode - limiter-processor wrapped as a native-style AudioNode
+ * Exposes the limiter's AudioParams as properties and worklet reports as events
+ */
+const PROCESSOR_NAME = 'limiter-processor';
+
+// Resolved next to this module, so it keeps working wherever the package is served from
+export const LIMITER_WORKLET_URL = new URL('./limiter-worklet.js', import.meta.url).href;
+
+// Worklet loads per context, shared so several nodes only add the module once
+const moduleLoads = new WeakMap();
+
+/**
+ * Turn worklet source text into a Blob URL, for apps that bundle the worklet inline
+ * (e.g. Electron builds where the file isn't served next to this module)
+ */
+export function createWorkletURL(source) {
+  return URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+}
+
+export class LimiterNode extends AudioWorkletNode {
+  /**
+   * Create the node (the worklet module must already be loaded, see createLimiterNode)
+   * Params use worklet units (dB, seconds) like native nodes, options are sent once up front
+   */
+  constructor(context, {
+    channelCount = 2,
+    detectionMode,
+    channelMode,
+    detectionSource,
+    telemetryInterval,
+    loudnessReports,
+    bandCount,
+    crossovers,
+    bands,
+    thresholdMode,
+    adaptiveOffset,
+    minThreshold,
+    maxThreshold,
+    adaptationTime,
+    ...params
+  } = {}) {
+    super(context, PROCESSOR_NAME, {
+      numberOfInputs: 2, // input 1 is the optional sidechain key
+      numberOfOutputs: 1,
+      outputChannelCount: [channelCount],
+      parameterData: params,
+      processorOptions: {
+        detectionMode,
+        channelMode,
+        detectionSource,
+        telemetryInterval,
+        loudnessReports,
+        bandCount,
+        crossovers,
+        bands,
+        thresholdMode,
+        adaptiveOffset,
+        minThreshold,
+        maxThreshold,
+        adaptationTime,
+      },
+    });
+
+    // Re-dispatch worklet reports ('telemetry', 'loudness') as events on the node
+    this.port.onmessage = (event) => {
+      this.dispatchEvent(new CustomEvent(event.data.type, { detail: event.data }));
+    };
+  }
+
+  /**
+   * Load the worklet module into a context once, however many nodes are created
+   */
+  static addModule(context, workletUrl = LIMITER_WORKLET_URL) {
+    const url = String(workletUrl);
+    let loads = moduleLoads.get(context);
+    if (!loads) {
+      loads = new Map();
+      moduleLoads.set(context, loads);
+    }
+
+    if (!loads.has(url)) {
+      const load = context.audioWorklet.addModule(url);
+      // Let a failed load be retried
+      load.catch(() => loads.delete(url));
+      loads.set(url, load);
+    }
+
+    return loads.get(url);
+  }
+
+  get threshold() { return this.parameters.get('threshold'); }
+  get knee() { return this.parameters.get('knee'); }
+  get ratio() { return this.parameters.get('ratio'); }
+  get attackTime() { return this.parameters.get('attackTime'); }
+  get releaseTime() { return this.parameters.get('releaseTime'); }
+  get rmsWindow() { return this.parameters.get('rmsWindow'); }
+  get lookaheadTime() { return this.parameters.get('lookaheadTime'); }
+  get floor() { return this.parameters.get('floor'); }
+  get maxBoost() { return this.parameters.get('maxBoost'); }
+  get gateThreshold() { return this.parameters.get('gateThreshold'); }
+  get bypass() { return this.parameters.get('bypass'); }
+  get mix() { return this.parameters.get('mix'); }
+
+  /**
+   * Change settings that are not AudioParams
+   * (detectionMode, channelMode, detectionSource, telemetryInterval in seconds, loudnessReports on or off,
+   * multiband bandCount, crossovers in Hz and per-band { threshold, attackTime, releaseTime },
+   * thresholdMode 'fixed' | 'adaptive' with adaptiveOffset, minThreshold, maxThreshold in dB and adaptationTime in seconds)
+   */
+  setOptions(options) {
+    this.port.postMessage({ type: 'updateOptions', ...options });
+  }
+}
+
+/**
+ * Promise-based factory: loads the worklet if needed and resolves to a ready LimiterNode
+ */
+export async function createLimiterNode(context, { workletUrl = LIMITER_WORKLET_URL, ...options } = {}) {
+  await LimiterNode.addModule(context, workletUrl);
+  return new LimiterNode(context, options);
+}
@@ -5,100 +5,1318 @@ const DEFAULT_RELEASE_TIME = 0.08;       // seconds (80ms) - balanced recovery s
 const DEFAULT_RMS_WINDOW = 0.005;        // seconds (5ms) - fast level detection
 const DEFAULT_LOOKAHEAD_TIME = 0.010;    // seconds (10ms) - anticipatory limiting
 const DEFAULT_INITIAL_GAIN = 1.0;        // Unity gain at start
-const MAX_CHANNELS = 2;                  // Stereo support
+const MIN_TIME_CONSTANT = 0.0001;        // seconds (0.1ms) - lower bound for attack/release
+const MAX_ATTACK_TIME = 1;               // seconds
+const MAX_RELEASE_TIME = 5;              // seconds
+const MIN_RMS_WINDOW = 0.0005;           // seconds (0.5ms)
+const MAX_RMS_WINDOW = 0.1;              // seconds (100ms)
+const DEFAULT_KNEE = 0;                  // dB - hard knee
+const MAX_KNEE = 24;                     // dB
+const MAX_RATIO = 100;                   // ratios at or above this act as ∞:1 (a true clamp)
+const DEFAULT_FLOOR = -40;               // dB - level quiet audio is lifted toward
+const DEFAULT_MAX_BOOST = 0;             // dB - 0 keeps upward normalization off
+const MAX_BOOST = 40;                    // dB
+const DEFAULT_GATE_THRESHOLD = -60;      // dB - audio below this is never boosted
+const MAX_LOOKAHEAD_TIME = 0.05;         // seconds (50ms) - upper bound for lookahead buffers
+const LOOKAHEAD_CROSSFADE_TIME = 0.005;  // seconds (5ms) - fade between delay taps when lookahead changes
+const INITIAL_CHANNELS = 2;              // Stereo state allocated up front
+const MAX_CHANNELS = 32;                 // Web Audio's maximum channel count
 const MIN_DB_VALUE = -100;               // Minimum dB for logarithmic calculations
+const DEFAULT_TELEMETRY_INTERVAL = 0.02; // seconds (20ms) - how often gain telemetry is posted
+const TRUE_PEAK_OVERSAMPLING = 4;        // 4x oversampling, as in ITU-R BS.1770
+const TRUE_PEAK_TAPS = 12;               // FIR taps per oversampling phase
+const LOUDNESS_OFFSET = -0.691;          // dB - BS.1770 offset so K-weighted power reads in LUFS
+const LOUDNESS_BLOCK_TIME = 0.1;         // seconds (100ms) - output loudness reporting block
+const SURROUND_CHANNEL_WEIGHT = 1.41;    // BS.1770 weight for the 5.1 surround channels
+const MAX_BANDS = 4;                     // multiband mode splits into 2 to 4 bands (1 = broadband only)
+const DEFAULT_CROSSOVERS = [200, 1000, 4000]; // Hz - band edges, the first bandCount - 1 are used
+const MIN_CROSSOVER_FREQUENCY = 20;      // Hz
+const MAX_CROSSOVER_FRACTION = 0.45;     // of the sample rate, keeps crossovers clear of Nyquist
+const DEFAULT_ADAPTIVE_OFFSET = 6;       // dB - adaptive threshold sits this far above the speech level
+const DEFAULT_MIN_THRESHOLD = -40;       // dB - adaptive threshold bounds
+const DEFAULT_MAX_THRESHOLD = -10;       // dB
+const DEFAULT_ADAPTATION_TIME = 10;      // seconds - time constant of the long-term speech level
+const MIN_ADAPTATION_TIME = 0.1;         // seconds
+const VAD_FRAME_TIME = 0.02;             // seconds (20ms) - voice-activity analysis frame
+const VAD_MARGIN = 9;                    // dB above the noise floor for a frame to count as speech
+const VAD_MIN_LEVEL = -60;               // dB - frames quieter than this are never speech
+const NOISE_FLOOR_RISE_TIME = 10;        // seconds - how slowly the noise floor estimate creeps up
+
+// Level detection modes
+// loudness: RMS of the K-weighted signal (BS.1770), so the threshold is in LUFS
+const DETECTION_MODES = ['rms', 'peak', 'true-peak', 'loudness'];
+const DEFAULT_DETECTION_MODE = 'rms';
+
+// Channel coupling modes
+// linked-max: one gain for all channels, driven by the loudest channel at each sample
+// linked-sum: one gain for all channels, driven by the summed level at each sample
+// independent: every channel gets its own detector and gain
+const CHANNEL_MODES = ['linked-max', 'linked-sum', 'independent'];
+const DEFAULT_CHANNEL_MODE = 'linked-max';
+
+// Detection sources
+// internal: the gain is driven by the limited signal itself (input 0)
+// external: the gain is driven by the sidechain key on input 1, for ducking or a shared key
+const DETECTION_SOURCES = ['internal', 'external'];
+const DEFAULT_DETECTION_SOURCE = 'internal';
+const SIDECHAIN_INPUT = 1;
+
+// Threshold modes
+// fixed: the threshold AudioParam is the ceiling
+// adaptive: the ceiling follows the input's long-term speech level plus an offset, within bounds
+const THRESHOLD_MODES = ['fixed', 'adaptive'];
+const DEFAULT_THRESHOLD_MODE = 'fixed';
+
+/**
+ * Whole number of samples closest to a duration at the context's sample rate, clamped to [minimum, maximum]
+ * Every window and delay goes through here, so they cover the same real time at any rate
+ */
+function timeToSamples(time, minimum = 1, maximum = Infinity) {
+  return Math.min(maximum, Math.max(minimum, Math.round(time * sampleRate)));
+}
+
+/**
+ * RMS buffer length that holds the longest window at the context's sample rate
+ */
+function maxRMSWindowSize() {
+  return timeToSamples(MAX_RMS_WINDOW);
+}
+
+/**
+ * Convert a linear amplitude to dB, floored at MIN_DB_VALUE
+ */
+function linearToDb(value) {
+  return value > 0 ? Math.max(20 * Math.log10(value), MIN_DB_VALUE) : MIN_DB_VALUE;
+}
+
+/**
+ * Static gain computer: gain change (dB, <= 0) for a detected level
+ * Quadratic soft knee of width `knee` centred on the threshold, `slope` is 1 - 1/ratio
+ */
+function computeGainDb(levelDb, threshold, knee, slope) {
+  const overshoot = levelDb - threshold;
+
+  if (2 * overshoot < -knee) {
+    return 0;
+  }
+  if (knee > 0 && 2 * Math.abs(overshoot) <= knee) {
+    const kneeOvershoot = overshoot + knee / 2;
+    return (-slope * kneeOvershoot * kneeOvershoot) / (2 * knee);
+  }
+  return -slope * overshoot;
+}
+
+/**
+ * Full gain computer: downward clamp plus optional upward normalization (dB, may be > 0)
+ * Audio between the gate and the floor is lifted toward the floor by at most maxBoost,
+ * and never past the threshold, so everything ends up between floor and threshold
+ */
+function computeTargetGainDb(levelDb, curve) {
+  const gainDb = computeGainDb(levelDb, curve.threshold, curve.knee, curve.slope);
+  if (gainDb < 0 || curve.maxBoost <= 0 || levelDb <= curve.gateThreshold) {
+    return gainDb;
+  }
+
+  const boostDb = Math.min(curve.floor - levelDb, curve.maxBoost, curve.threshold - levelDb);
+  return Math.max(0, boostDb);
+}
+
+/**
+ * Build the polyphase interpolation filter used for true-peak detection
+ * Hann-windowed sinc, one row of taps per fractional phase (phase 0 is the sample itself)
+ */
+function buildTruePeakFilter() {
+  const center = TRUE_PEAK_TAPS / 2;
+  const phases = [];
+
+  for (let phase = 1; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+    const taps = new Float32Array(TRUE_PEAK_TAPS);
+    let sum = 0;
+
+    for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+      const t = j - center + phase / TRUE_PEAK_OVERSAMPLING;
+      const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 * (1 + Math.cos((Math.PI * t) / (center + 1)));
+      taps[j] = sinc * window;
+      sum += taps[j];
+    }
+
+    // Normalize for unity gain at DC
+    for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+      taps[j] /= sum;
+    }
+    phases.push(taps);
+  }
+
+  return phases;
+}
+
+const TRUE_PEAK_FILTER = buildTruePeakFilter();
+const LOUDNESS_POWER_SCALE = Math.pow(10, LOUDNESS_OFFSET / 10);
+
+/**
+ * Build the two BS.1770 K-weighting biquads for the current sample rate
+ * A high shelf (head effects) then a high-pass (RLB curve), designed from the analog
+ * prototypes so they match the published 48kHz coefficients at any rate
+ */
+function buildKWeightingFilter() {
+  // Stage 1: +4dB high shelf around 1.7kHz
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  // Stage 2: high-pass around 38Hz
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  return [shelf, highpass];
+}
+
+/**
+ * Butterworth-Q biquad (RBJ cookbook) for the band crossovers: 'lowpass', 'highpass' or 'allpass'
+ * Two Butterworth low/high-passes in series make a 4th-order Linkwitz-Riley pair, whose sum is
+ * this allpass - so the bands add back up with a flat magnitude response
+ */
+function buildCrossoverBiquad(type, frequency) {
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const a0 = 1 + alpha;
+
+  let b0;
+  let b1;
+  let b2;
+  if (type === 'lowpass') {
+    b0 = (1 - cos) / 2;
+    b1 = 1 - cos;
+    b2 = (1 - cos) / 2;
+  } else if (type === 'highpass') {
+    b0 = (1 + cos) / 2;
+    b1 = -(1 + cos);
+    b2 = (1 + cos) / 2;
+  } else {
+    b0 = 1 - alpha;
+    b1 = -2 * cos;
+    b2 = 1 + alpha;
+  }
+
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: (-2 * cos) / a0, a2: (1 - alpha) / a0 };
+}
+
+/**
+ * Cascaded biquads for one channel (transposed direct form II)
+ * Used for the K-weighting pre-filter and the band crossovers
+ */
+class BiquadCascade {
+  constructor(stages) {
+    this.stages = stages;
+    this.state = new Float64Array(stages.length * 2);
+  }
+
+  /**
+   * Filter one sample
+   */
+  process(sample) {
+    let value = sample;
+    for (let s = 0; s < this.stages.length; s++) {
+      const { b0, b1, b2, a1, a2 } = this.stages[s];
+      const output = b0 * value + this.state[2 * s];
+      this.state[2 * s] = b1 * value - a1 * output + this.state[2 * s + 1];
+      this.state[2 * s + 1] = b2 * value - a2 * output;
+      value = output;
+    }
+    return value;
+  }
+}
+
+/**
+ * Linkwitz-Riley band splitter for one channel
+ * Each crossover peels the lowest remaining band off with a 4th-order low-pass, and the rest
+ * continues through the matching high-pass. Lower bands also pass through the allpass of
+ * every crossover above them, so all bands share the same phase and sum back flat.
+ */
+class BandSplitter {
+  constructor(crossovers) {
+    const pair = (type, frequency) => {
+      const stage = buildCrossoverBiquad(type, frequency);
+      return new BiquadCascade([stage, stage]);
+    };
+
+    this.lowpasses = crossovers.map((frequency) => pair('lowpass', frequency));
+    this.highpasses = crossovers.map((frequency) => pair('highpass', frequency));
+    this.allpasses = crossovers.map((frequency, band) => new BiquadCascade(
+      crossovers.slice(band + 1).map((above) => buildCrossoverBiquad('allpass', above))
+    ));
+    this.bands = new Float64Array(crossovers.length + 1);
+  }
+
+  /**
+   * Split one sample into bands, lowest first (valid until the next call)
+   */
+  split(sample) {
+    let rest = sample;
+    for (let k = 0; k < this.lowpasses.length; k++) {
+      this.bands[k] = this.allpasses[k].process(this.lowpasses[k].process(rest));
+      rest = this.highpasses[k].process(rest);
+    }
+    this.bands[this.lowpasses.length] = rest;
+    return this.bands;
+  }
+}
+
+/**
+ * BS.1770 weight of a channel's power when summing loudness
+ * The 5.1 LFE channel is left out and its surround channels count extra
+ */
+function loudnessChannelWeight(channel, channelCount) {
+  if (channelCount !== 6) return 1;
+  if (channel === 3) return 0;
+  return channel >= 4 ? SURROUND_CHANNEL_WEIGHT : 1;
+}
+
+/**
+ * Estimates inter-sample peaks of one channel by oversampling its recent history
+ * Interpolated points trail the input by TRUE_PEAK_TAPS / 2 samples
+ */
+class TruePeakDetector {
+  constructor() {
+    this.history = new Float32Array(TRUE_PEAK_TAPS);
+    this.index = 0;
+  }
+
+  /**
+   * Push a sample and return the largest absolute value seen around it
+   */
+  process(sample) {
+    this.history[this.index] = sample;
+
+    let peak = Math.abs(sample);
+    for (const taps of TRUE_PEAK_FILTER) {
+      let value = 0;
+      for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+        value += taps[j] * this.history[(this.index - j + TRUE_PEAK_TAPS) % TRUE_PEAK_TAPS];
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+
+    this.index = (this.index + 1) % TRUE_PEAK_TAPS;
+    return peak;
+  }
+}
+
+/**
+ * Sliding-window minimum using a monotonic deque (amortized O(1) per sample)
+ * The window length can change between pushes
+ */
+class SlidingMinimum {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.values = new Float64Array(capacity);
+    this.positions = new Float64Array(capacity);
+    this.head = 0;
+    this.length = 0;
+    this.position = 0;
+  }
+
+  /**
+   * Add a value and return the minimum of the last `windowSize` values
+   */
+  push(value, windowSize) {
+    // Drop values that have slid out of the window
+    while (this.length > 0 && this.positions[this.head] <= this.position - windowSize) {
+      this.head = (this.head + 1) % this.capacity;
+      this.length--;
+    }
+
+    // Drop values that can never be the minimum again
+    while (this.length > 0) {
+      const tail = (this.head + this.length - 1) % this.capacity;
+      if (this.values[tail] < value) break;
+      this.length--;
+    }
+
+    const slot = (this.head + this.length) % this.capacity;
+    this.values[slot] = value;
+    this.positions[slot] = this.position;
+    this.length++;
+    this.position++;
+
+    return this.values[this.head];
+  }
+
+  /**
+   * Forget every value, so the window can be refilled from scratch
+   */
+  reset() {
+    this.head = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * Level detector and gain envelope for one detection stream
+ * Linked modes use a single detector, independent mode uses one per channel
+ */
+class GainDetector {
+  constructor(lookaheadSize, rmsWindowSize) {
+    this.currentGain = DEFAULT_INITIAL_GAIN;
+    this.gains = new Float32Array(128);
+    this.level = 0; // last detected level (linear amplitude), reported in telemetry
+
+    // RMS calculation with sliding window
+    // Allocated at the maximum size up front so window changes never allocate on the audio thread
+    this.rmsBuffer = new Float32Array(maxRMSWindowSize());
+    this.rmsWindowSize = rmsWindowSize;
+    this.rmsBufferIndex = 0;
+    this.rmsSum = 0;
+
+    // Peak detection state
+    // Required gains are held over the lookahead window, then averaged over it
+    // so the gain has fully ramped down by the time a peak leaves the delay line
+    // The raw required gains are kept for two windows, enough to rebuild both stages when the window changes
+    this.requiredGains = new Float64Array(2 * (lookaheadSize + 1)).fill(DEFAULT_INITIAL_GAIN);
+    this.requiredIndex = 0;
+    this.peakHold = new SlidingMinimum(lookaheadSize + 1);
+    this.peakSmoothBuffer = new Float64Array(lookaheadSize + 1).fill(DEFAULT_INITIAL_GAIN);
+    this.peakSmoothIndex = 0;
+    this.peakSmoothWindow = 1;
+    this.peakSmoothSum = DEFAULT_INITIAL_GAIN;
+  }
+
+  /**
+   * Resize the RMS window and reset the detector
+   */
+  resizeRMSWindow(windowSize) {
+    this.rmsWindowSize = windowSize;
+    this.rmsBuffer.fill(0);
+    this.rmsBufferIndex = 0;
+    this.rmsSum = 0;
+  }
+
+  /**
+   * Rebuild the peak hold and box filter when the lookahead window changes
+   * The held gains of the last `window` samples are recomputed as if this window had always been used,
+   * so samples already in the delay line (which a longer delay lets out again) stay covered
+   */
+  resizePeakWindow(window) {
+    if (window === this.peakSmoothWindow) return;
+
+    const historySize = this.requiredGains.length;
+    const bufferSize = this.peakSmoothBuffer.length;
+    this.peakSmoothWindow = window;
+    this.peakSmoothSum = 0;
+    this.peakHold.reset();
+
+    for (let k = 2 * window - 2; k >= 0; k--) {
+      const requiredGain = this.requiredGains[(this.requiredIndex - 1 - k + historySize) % historySize];
+      const heldGain = this.peakHold.push(requiredGain, window);
+      if (k < window) {
+        this.peakSmoothBuffer[(this.peakSmoothIndex - 1 - k + bufferSize) % bufferSize] = heldGain;
+        this.peakSmoothSum += heldGain;
+      }
+    }
+  }
+
+  /**
+   * Calculate RMS (Root Mean Square) using a sliding window
+   * Provides perceived loudness measurement more accurate than peak detection
+   * Takes the instantaneous power (squared sample, or combined across channels)
+   */
+  calculateRMS(power) {
+    // Remove oldest power from sum, add the new one
+    this.rmsSum += power - this.rmsBuffer[this.rmsBufferIndex];
+    this.rmsBuffer[this.rmsBufferIndex] = power;
+
+    // Move to next buffer position (circular buffer)
+    this.rmsBufferIndex = (this.rmsBufferIndex + 1) % this.rmsWindowSize;
+
+    // Calculate RMS (guard against tiny negative drift in the running sum)
+    return Math.sqrt(Math.max(0, this.rmsSum) / this.rmsWindowSize);
+  }
+
+  /**
+   * RMS mode: analyze the incoming (not yet delayed) power and move the attack/release envelope
+   * curve holds the current threshold, knee and slope for the gain computer
+   */
+  processRMS(power, curve, attackCoeff, releaseCoeff) {
+    const rms = this.calculateRMS(power);
+    this.level = rms;
+    const db = rms > 0 ? 20 * Math.log10(rms) : MIN_DB_VALUE;
+
+    // Calculate target gain from the transfer curve (unity between floor and threshold)
+    const gainDb = computeTargetGainDb(db, curve);
+    const targetGain = gainDb !== 0 ? Math.pow(10, gainDb / 20) : DEFAULT_INITIAL_GAIN;
+
+    // Smooth gain changes with attack/release envelope
+    // This prevents rapid gain jitter while lookahead prevents lag-based pumping
+    if (targetGain < this.currentGain) {
+      // Attack: fast gain reduction
+      this.currentGain += (targetGain - this.currentGain) * attackCoeff;
+    } else {
+      // Release: slow gain restoration (and slow boost of quiet audio)
+      this.currentGain += (targetGain - this.currentGain) * releaseCoeff;
+    }
+
+    return this.currentGain;
+  }
+
+  /**
+   * Peak modes: hold and smooth the gain each sample needs so the delayed output stays under the ceiling
+   * The window covers the longest delay tap being read, clampDelay (if >= 0) is a second, shorter tap
+   * read during a lookahead crossfade, whose sample is covered by taking its required gain directly
+   */
+  processPeak(peak, curve, releaseCoeff, clampDelay = -1) {
+    const window = this.peakSmoothWindow;
+    const bufferSize = this.peakSmoothBuffer.length;
+    this.level = peak;
+
+    // Gain this sample needs - with a hard knee at ∞:1, the largest gain that keeps it under the ceiling
+    let requiredGain;
+    if (curve.knee === 0 && curve.slope === 1 && curve.maxBoost <= 0) {
+      const ceiling = Math.pow(10, curve.threshold / 20);
+      requiredGain = peak > ceiling ? ceiling / peak : DEFAULT_INITIAL_GAIN;
+    } else {
+      requiredGain = Math.pow(10, computeTargetGainDb(linearToDb(peak), curve) / 20);
+    }
+
+    const historySize = this.requiredGains.length;
+    this.requiredGains[this.requiredIndex] = requiredGain;
+    this.requiredIndex = (this.requiredIndex + 1) % historySize;
+
+    // Hold the lowest required gain while its sample is in the delay line
+    const heldGain = this.peakHold.push(requiredGain, window);
+
+    // Box-average the held gain over the window, which ramps down smoothly
+    // and still never rises above what the delayed sample requires
+    const oldest = (this.peakSmoothIndex - window + bufferSize) % bufferSize;
+    this.peakSmoothSum += heldGain - this.peakSmoothBuffer[oldest];
+    this.peakSmoothBuffer[this.peakSmoothIndex] = heldGain;
+    this.peakSmoothIndex = (this.peakSmoothIndex + 1) % bufferSize;
+    let smoothedGain = Math.min(this.peakSmoothSum / window, curve.maxGain);
+    if (clampDelay >= 0) {
+      const clampIndex = (this.requiredIndex - 1 - clampDelay + historySize) % historySize;
+      smoothedGain = Math.min(smoothedGain, this.requiredGains[clampIndex]);
+    }
+
+    // Attack is instant (the ramp already happened in the lookahead), release and boost are smoothed
+    if (smoothedGain < this.currentGain) {
+      this.currentGain = smoothedGain;
+    } else {
+      this.currentGain += (smoothedGain - this.currentGain) * releaseCoeff;
+    }
+
+    return this.currentGain;
+  }
+}
+
+/**
+ * Voice-activity detection and long-term speech level of the input, for the adaptive threshold
+ * A frame counts as speech when it stands VAD_MARGIN above a noise floor that drops at once and
+ * creeps up slowly, so every pause finds the noise again. The speech level is a slow power average
+ * of speech frames only, so silence, pauses and steady noise never pull it around
+ */
+class SpeechLevelTracker {
+  constructor() {
+    this.frameSize = timeToSamples(VAD_FRAME_TIME);
+    this.frameSum = 0;
+    this.frameSamples = 0;
+    this.floorRiseCoeff = 1 - Math.exp(-VAD_FRAME_TIME / NOISE_FLOOR_RISE_TIME);
+    this.noiseFloorDb = null;
+    this.speechPower = 0; // 0 until seeded
+    this.voiceActive = false;
+  }
+
+  /**
+   * Add one block of input power (summed over the block's samples)
+   * adaptationCoeff is the per-frame smoothing of the speech level
+   */
+  addBlock(powerSum, blockLength, adaptationCoeff) {
+    this.frameSum += powerSum;
+    this.frameSamples += blockLength;
+    if (this.frameSamples < this.frameSize) return;
+
+    const framePower = this.frameSum / this.frameSamples;
+    const frameDb = framePower > 0 ? Math.max(10 * Math.log10(framePower), MIN_DB_VALUE) : MIN_DB_VALUE;
+    this.frameSum = 0;
+    this.frameSamples = 0;
+
+    if (this.noiseFloorDb === null || frameDb < this.noiseFloorDb) {
+      this.noiseFloorDb = frameDb;
+    } else {
+      this.noiseFloorDb += (frameDb - this.noiseFloorDb) * this.floorRiseCoeff;
+    }
+
+    this.voiceActive = frameDb > VAD_MIN_LEVEL && frameDb > this.noiseFloorDb + VAD_MARGIN;
+    if (this.voiceActive) {
+      this.speechPower += (framePower - this.speechPower) * adaptationCoeff;
+    }
+  }
+
+  /**
+   * Long-term speech level in dB
+   */
+  get speechLevelDb() {
+    return linearToDb(Math.sqrt(this.speechPower));
+  }
+}
 
 /**
  * Key Features:
  * - Attack/release envelope prevents gain jitter
- * - No gain boost (unity gain when below threshold)
- * - Runs at audio rate (48kHz)
+ * - Selectable detection: sliding-window RMS, sample peak, oversampled true-peak
+ *   or K-weighted loudness (threshold in LUFS, so bright voices aren't under-clamped)
+ * - Peak modes use the lookahead as a brickwall, so no output sample exceeds the threshold
+ * - Optional soft knee and finite ratio (defaults to a hard-knee ∞:1 clamp)
+ * - Channels can be linked (max or sum at each sample time) or limited independently
+ * - Optional sidechain: a second input can drive the gain instead (ducking, shared keys)
+ * - Any channel count up to 32, so 5.1 and other multichannel layouts are clamped correctly
+ * - Opt-in upward normalization (floor, max boost, noise gate) for a two-sided leveler
+ * - Optional multiband mode: 2-4 Linkwitz-Riley bands, each leveled with its own threshold
+ *   and envelope (so a low thump doesn't duck the whole voice), summed under the overall ceiling
+ * - Optional adaptive threshold: voice-activity detection tracks the input's long-term speech
+ *   level, and the ceiling follows it at a set offset (within bounds) instead of the threshold param
+ * - Otherwise no gain boost (unity gain when below threshold)
+ * - Click-free bypass and wet/dry mix, crossfaded against the delayed dry signal so latency never changes
+ * - Settings are AudioParams, so they can be scheduled, ramped or driven by other nodes
+ * - Posts gain-reduction telemetry (actual envelope, detector level) back to the main thread
+ * - Posts K-weighted output power in 100ms blocks for momentary/short-term/integrated LUFS
+ * - Runs at the AudioContext's own rate (e.g. 16kHz voice to 96kHz), windows and time
+ *   constants are set in seconds so the limiter sounds the same at any rate
  */
 class LimiterProcessor extends AudioWorkletProcessor {
-  constructor() {
-    super();
+  /**
+   * Limiter settings exposed as AudioParams so they can be automated
+   * Times are in seconds, threshold in dB
+   */
+  static get parameterDescriptors() {
+    return [
+      {
+        name: 'threshold',
+        defaultValue: DEFAULT_THRESHOLD,
+        minValue: MIN_DB_VALUE,
+        maxValue: 0,
+        automationRate: 'a-rate',
+      },
+      {
+        name: 'attackTime',
+        defaultValue: DEFAULT_ATTACK_TIME,
+        minValue: MIN_TIME_CONSTANT,
+        maxValue: MAX_ATTACK_TIME,
+        automationRate: 'a-rate',
+      },
+      {
+        name: 'releaseTime',
+        defaultValue: DEFAULT_RELEASE_TIME,
+        minValue: MIN_TIME_CONSTANT,
+        maxValue: MAX_RELEASE_TIME,
+        automationRate: 'a-rate',
+      },
+      {
+        // Resizes the detector window, so only read once per block
+        name: 'rmsWindow',
+        defaultValue: DEFAULT_RMS_WINDOW,
+        minValue: MIN_RMS_WINDOW,
+        maxValue: MAX_RMS_WINDOW,
+        automationRate: 'k-rate',
+      },
+      {
+        // Soft knee width around the threshold (0 = hard knee)
+        name: 'knee',
+        defaultValue: DEFAULT_KNEE,
+        minValue: 0,
+        maxValue: MAX_KNEE,
+        automationRate: 'k-rate',
+      },
+      {
+        // Compression ratio above the threshold, MAX_RATIO means ∞:1
+        name: 'ratio',
+        defaultValue: MAX_RATIO,
+        minValue: 1,
+        maxValue: MAX_RATIO,
+        automationRate: 'k-rate',
+      },
+      {
+        // Upward normalization target - quiet audio is lifted toward this level
+        name: 'floor',
+        defaultValue: DEFAULT_FLOOR,
+        minValue: MIN_DB_VALUE,
+        maxValue: 0,
+        automationRate: 'k-rate',
+      },
+      {
+        // Most the leveler may boost quiet audio by (0 = upward normalization off)
+        name: 'maxBoost',
+        defaultValue: DEFAULT_MAX_BOOST,
+        minValue: 0,
+        maxValue: MAX_BOOST,
+        automationRate: 'k-rate',
+      },
+      {
+        // Noise gate - audio below this is left alone so silence and hiss aren't amplified
+        name: 'gateThreshold',
+        defaultValue: DEFAULT_GATE_THRESHOLD,
+        minValue: MIN_DB_VALUE,
+        maxValue: 0,
+        automationRate: 'k-rate',
+      },
+      {
+        // 0 = limited, 1 = bypassed; ramp it for a click-free crossfade
+        // The dry signal still goes through the lookahead delay, so latency stays constant
+        name: 'bypass',
+        defaultValue: 0,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'a-rate',
+      },
+      {
+        // Wet/dry balance for parallel limiting (1 = fully limited)
+        name: 'mix',
+        defaultValue: 1,
+        minValue: 0,
+        maxValue: 1,
+        automationRate: 'a-rate',
+      },
+      {
+        // Sets the processing latency, changes are crossfaded so they never click
+        name: 'lookaheadTime',
+        defaultValue: DEFAULT_LOOKAHEAD_TIME,
+        minValue: 0,
+        maxValue: MAX_LOOKAHEAD_TIME,
+        automationRate: 'k-rate',
+      },
+    ];
+  }
 
-    // Limiter parameters
-    this.threshold = DEFAULT_THRESHOLD;
-    this.currentGain = DEFAULT_INITIAL_GAIN;
+  constructor(options = {}) {
+    super();
 
-    // Attack/Release time constants
+    // Attack/Release time constants, coefficients are recomputed when the params change
     this.attackTime = DEFAULT_ATTACK_TIME;
     this.releaseTime = DEFAULT_RELEASE_TIME;
 
     // Calculate smoothing coefficients (exponential moving average)
     // Coefficient = 1 - e^(-1 / (time * sampleRate))
-    this.attackCoeff = 1 - Math.exp(-1 / (this.attackTime * sampleRate));
-    this.releaseCoeff = 1 - Math.exp(-1 / (this.releaseTime * sampleRate));
+    this.attackCoeff = this.timeToCoeff(this.attackTime);
+    this.releaseCoeff = this.timeToCoeff(this.releaseTime);
 
-    // RMS calculation with sliding window
-    this.rmsWindowSize = Math.floor(sampleRate * DEFAULT_RMS_WINDOW);
-    this.rmsBuffer = new Float32Array(this.rmsWindowSize);
-    this.rmsBufferIndex = 0;
-    this.rmsSum = 0;
+    this.rmsWindow = DEFAULT_RMS_WINDOW;
+    this.rmsWindowSize = timeToSamples(this.rmsWindow, 1, maxRMSWindowSize());
 
     // Lookahead buffer for anticipatory limiting
     // Analyzes future audio before output to eliminate lag-based pumping
+    // Buffers are sized for the maximum lookahead, the active delay is just a read offset
     this.lookaheadTime = DEFAULT_LOOKAHEAD_TIME;
-    this.lookaheadSize = Math.floor(sampleRate * this.lookaheadTime);
+    this.lookaheadSize = timeToSamples(MAX_LOOKAHEAD_TIME) + 1;
+    this.lookaheadDelay = timeToSamples(this.lookaheadTime, 0, this.lookaheadSize - 1);
+
+    // Crossfade state used when the lookahead delay changes
+    this.previousLookaheadDelay = this.lookaheadDelay;
+    this.crossfadeLength = timeToSamples(LOOKAHEAD_CROSSFADE_TIME);
+    this.crossfadePosition = this.crossfadeLength;
+    this.peakClampDelay = -1; // shorter tap clamped by the peak detectors during a crossfade
+
+    this.detectionMode = DEFAULT_DETECTION_MODE;
+    this.wetAmount = 1; // share of the limited signal in the output, from mix and bypass
+    this.channelMode = DEFAULT_CHANNEL_MODE;
+    this.detectionSource = DEFAULT_DETECTION_SOURCE;
+
+    // Adaptive threshold: ceiling = speech level + offset, clamped to [minThreshold, maxThreshold]
+    this.thresholdMode = DEFAULT_THRESHOLD_MODE;
+    this.adaptiveOffset = DEFAULT_ADAPTIVE_OFFSET;
+    this.minThreshold = DEFAULT_MIN_THRESHOLD;
+    this.maxThreshold = DEFAULT_MAX_THRESHOLD;
+    this.adaptationTime = DEFAULT_ADAPTATION_TIME;
+    this.speechTracker = new SpeechLevelTracker();
+    this.adaptiveThreshold = DEFAULT_THRESHOLD;
+
+    // Gain computer settings, reused every sample to avoid allocating on the audio thread
+    this.curve = {
+      threshold: DEFAULT_THRESHOLD,
+      knee: DEFAULT_KNEE,
+      slope: 1,
+      floor: DEFAULT_FLOOR,
+      maxBoost: DEFAULT_MAX_BOOST,
+      maxGain: DEFAULT_INITIAL_GAIN, // linear form of maxBoost
+      gateThreshold: DEFAULT_GATE_THRESHOLD,
+    };
 
-    // Support up to 2 channels (stereo)
-    this.maxChannels = MAX_CHANNELS;
+    // Telemetry accumulated between reports (0 interval disables reporting)
+    this.telemetryInterval = DEFAULT_TELEMETRY_INTERVAL;
+    this.telemetrySamples = 0;
+    this.telemetryMinGain = DEFAULT_INITIAL_GAIN;
+    this.telemetryMaxLevel = 0;
+
+    // K-weighted output power accumulated for the current loudness block
+    // Reported on their own switch, so meters keep working with telemetry off
+    this.loudnessReports = true;
+    this.kWeightingStages = buildKWeightingFilter();
+    this.loudnessSum = 0;
+    this.loudnessSamples = 0;
+
+    // Multiband stage (bandCount 1 = off), runs ahead of the broadband limiter
+    // bandDetectors[band][0] doubles as the band's shared detector in the linked modes
+    this.bandCount = 1;
+    this.crossovers = DEFAULT_CROSSOVERS.slice();
+    this.bands = [];
+    for (let band = 0; band < MAX_BANDS; band++) {
+      this.bands.push({
+        attackTime: DEFAULT_ATTACK_TIME,
+        releaseTime: DEFAULT_RELEASE_TIME,
+        attackCoeff: this.timeToCoeff(DEFAULT_ATTACK_TIME),
+        releaseCoeff: this.timeToCoeff(DEFAULT_RELEASE_TIME),
+        curve: { ...this.curve, maxBoost: 0, maxGain: DEFAULT_INITIAL_GAIN },
+        minGain: DEFAULT_INITIAL_GAIN, // lowest gain since the last telemetry report
+      });
+    }
+    this.bandSplitters = [];
+    this.bandDetectors = [];
+    this.bandOutput = [];
+
+    // Per-channel state, allocated up front for stereo and grown on demand for more channels
+    // detectors[0] doubles as the shared detector in the linked modes
     this.lookaheadBuffers = [];
     this.lookaheadIndices = [];
-    this.lookaheadFilled = [];
+    this.truePeakDetectors = [];
+    this.kWeightingFilters = [];
+    this.loudnessFilters = [];
+    this.detectors = [];
+    this.ensureChannels(INITIAL_CHANNELS);
+
+    // Options can be given up front (processorOptions) and changed later from the main thread
+    this.applyOptions(options.processorOptions || {});
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'updateOptions') {
+        this.applyOptions(event.data);
+      }
+    };
+  }
+
+  /**
+   * Pick up settings that are not AudioParams, ignoring unknown or invalid values
+   */
+  applyOptions({
+    detectionMode,
+    channelMode,
+    detectionSource,
+    telemetryInterval,
+    loudnessReports,
+    bandCount,
+    crossovers,
+    bands,
+    thresholdMode,
+    adaptiveOffset,
+    minThreshold,
+    maxThreshold,
+    adaptationTime,
+  }) {
+    if (DETECTION_MODES.includes(detectionMode)) {
+      this.detectionMode = detectionMode;
+    }
+    if (CHANNEL_MODES.includes(channelMode)) {
+      this.channelMode = channelMode;
+    }
+    if (DETECTION_SOURCES.includes(detectionSource)) {
+      this.detectionSource = detectionSource;
+    }
+    if (typeof telemetryInterval === 'number' && telemetryInterval >= 0) {
+      this.telemetryInterval = telemetryInterval;
+      this.telemetrySamples = 0;
+    }
+    if (typeof loudnessReports === 'boolean') {
+      this.loudnessReports = loudnessReports;
+      this.loudnessSum = 0;
+      this.loudnessSamples = 0;
+    }
+    if (THRESHOLD_MODES.includes(thresholdMode)) {
+      this.thresholdMode = thresholdMode;
+    }
+    if (typeof adaptiveOffset === 'number' && Number.isFinite(adaptiveOffset)) {
+      this.adaptiveOffset = adaptiveOffset;
+    }
+    if (typeof minThreshold === 'number' && Number.isFinite(minThreshold)) {
+      this.minThreshold = Math.min(0, minThreshold);
+    }
+    if (typeof maxThreshold === 'number' && Number.isFinite(maxThreshold)) {
+      this.maxThreshold = Math.min(0, maxThreshold);
+    }
+    if (typeof adaptationTime === 'number' && Number.isFinite(adaptationTime)) {
+      this.adaptationTime = Math.max(MIN_ADAPTATION_TIME, adaptationTime);
+    }
+    if (Array.isArray(bands)) {
+      bands.slice(0, MAX_BANDS).forEach((settings, band) => this.applyBandSettings(band, settings));
+    }
+
+    let rebuildBands = false;
+    if (Number.isInteger(bandCount) && bandCount >= 1 && bandCount <= MAX_BANDS && bandCount !== this.bandCount) {
+      this.bandCount = bandCount;
+      rebuildBands = true;
+    }
+    if (Array.isArray(crossovers)) {
+      const maxFrequency = sampleRate * MAX_CROSSOVER_FRACTION;
+      crossovers.slice(0, MAX_BANDS - 1).forEach((frequency, k) => {
+        if (typeof frequency === 'number' && Number.isFinite(frequency)) {
+          this.crossovers[k] = Math.min(maxFrequency, Math.max(MIN_CROSSOVER_FREQUENCY, frequency));
+        }
+      });
+      this.crossovers.sort((a, b) => a - b);
+      rebuildBands = true;
+    }
+    if (rebuildBands) {
+      this.buildBands();
+    }
+  }
+
+  /**
+   * Pick up one band's threshold (dB) and attack/release times (seconds), ignoring invalid values
+   */
+  applyBandSettings(band, settings) {
+    if (!settings || typeof settings !== 'object') return;
 
-    for (let ch = 0; ch < this.maxChannels; ch++) {
+    const state = this.bands[band];
+    const { threshold, attackTime, releaseTime } = settings;
+    if (typeof threshold === 'number' && Number.isFinite(threshold)) {
+      state.curve.threshold = Math.min(0, threshold);
+    }
+    if (typeof attackTime === 'number' && Number.isFinite(attackTime)) {
+      state.attackTime = Math.min(MAX_ATTACK_TIME, Math.max(MIN_TIME_CONSTANT, attackTime));
+      state.attackCoeff = this.timeToCoeff(state.attackTime);
+    }
+    if (typeof releaseTime === 'number' && Number.isFinite(releaseTime)) {
+      state.releaseTime = Math.min(MAX_RELEASE_TIME, Math.max(MIN_TIME_CONSTANT, releaseTime));
+      state.releaseCoeff = this.timeToCoeff(state.releaseTime);
+    }
+  }
+
+  /**
+   * (Re)create the crossovers and band detectors for every allocated channel
+   * Runs on option changes rather than per block, so allocating here is fine
+   */
+  buildBands() {
+    const channelCount = this.lookaheadBuffers.length;
+    this.bandSplitters = [];
+    this.bandDetectors = [];
+    if (this.bandCount === 1) return;
+
+    const crossovers = this.crossovers.slice(0, this.bandCount - 1);
+    for (let ch = 0; ch < channelCount; ch++) {
+      this.bandSplitters.push(new BandSplitter(crossovers));
+    }
+    for (let band = 0; band < this.bandCount; band++) {
+      const detectors = [];
+      for (let ch = 0; ch < channelCount; ch++) {
+        detectors.push(new GainDetector(this.lookaheadSize, this.rmsWindowSize));
+      }
+      this.bandDetectors.push(detectors);
+    }
+  }
+
+  /**
+   * Allocate state for any channels not seen before
+   */
+  ensureChannels(channelCount) {
+    const count = Math.min(channelCount, MAX_CHANNELS);
+    const previousCount = this.lookaheadBuffers.length;
+
+    for (let ch = this.lookaheadBuffers.length; ch < count; ch++) {
       this.lookaheadBuffers[ch] = new Float32Array(this.lookaheadSize);
       this.lookaheadIndices[ch] = 0;
-      this.lookaheadFilled[ch] = 0;
+      this.truePeakDetectors[ch] = new TruePeakDetector();
+      this.kWeightingFilters[ch] = new BiquadCascade(this.kWeightingStages);
+      this.loudnessFilters[ch] = new BiquadCascade(this.kWeightingStages);
+      this.detectors[ch] = new GainDetector(this.lookaheadSize, this.rmsWindowSize);
+      this.bandOutput[ch] = new Float32Array(128);
     }
 
-    // Listen for parameter updates from main thread
-    this.port.onmessage = (event) => {
-      if (event.data.type === 'updateParameters') {
-        if (event.data.threshold !== undefined) {
-          this.threshold = event.data.threshold;
+    if (this.bandCount > 1 && count > previousCount) {
+      this.buildBands();
+    }
+  }
+
+  /**
+   * Convert a time constant (seconds) into a one-pole smoothing coefficient
+   */
+  timeToCoeff(time) {
+    return 1 - Math.exp(-1 / (Math.max(time, MIN_TIME_CONSTANT) * sampleRate));
+  }
+
+  /**
+   * Pick up new attack/release times, recomputing coefficients only on change
+   */
+  updateTimeConstants(attackTime, releaseTime) {
+    if (attackTime !== this.attackTime) {
+      this.attackTime = attackTime;
+      this.attackCoeff = this.timeToCoeff(attackTime);
+    }
+    if (releaseTime !== this.releaseTime) {
+      this.releaseTime = releaseTime;
+      this.releaseCoeff = this.timeToCoeff(releaseTime);
+    }
+  }
+
+  /**
+   * Resize the RMS window and reset the detectors when it changes
+   */
+  updateRMSWindow(rmsWindow) {
+    if (rmsWindow === this.rmsWindow) return;
+
+    this.rmsWindow = rmsWindow;
+    const newWindowSize = timeToSamples(rmsWindow, 1, maxRMSWindowSize());
+    if (newWindowSize !== this.rmsWindowSize) {
+      this.rmsWindowSize = newWindowSize;
+      for (const detector of this.detectors) {
+        detector.resizeRMSWindow(newWindowSize);
+      }
+      for (const detectors of this.bandDetectors) {
+        for (const detector of detectors) {
+          detector.resizeRMSWindow(newWindowSize);
         }
-        if (event.data.attackTime !== undefined) {
-          this.attackTime = event.data.attackTime;
-          this.attackCoeff = 1 - Math.exp(-1 / (this.attackTime * sampleRate));
+      }
+    }
+  }
+
+  /**
+   * Start moving to a new lookahead delay
+   * A change requested mid-crossfade waits until the current fade has finished
+   */
+  updateLookahead(lookaheadTime) {
+    if (lookaheadTime === this.lookaheadTime) return;
+    if (this.crossfadePosition < this.crossfadeLength) return;
+
+    this.lookaheadTime = lookaheadTime;
+    const newDelay = timeToSamples(lookaheadTime, 0, this.lookaheadSize - 1);
+    if (newDelay !== this.lookaheadDelay) {
+      this.previousLookaheadDelay = this.lookaheadDelay;
+      this.lookaheadDelay = newDelay;
+      this.crossfadePosition = 0;
+    }
+  }
+
+  /**
+   * Read a delayed sample from a channel's lookahead buffer
+   */
+  readLookahead(buffer, writeIndex, delay) {
+    return buffer[(writeIndex - delay + this.lookaheadSize) % this.lookaheadSize];
+  }
+
+  /**
+   * Level of one channel's sample as seen by the detector
+   * Power in RMS mode (K-weighted and offset to LUFS in loudness mode),
+   * absolute (or true) peak in the peak modes
+   */
+  channelLevel(channel, sample) {
+    switch (this.detectionMode) {
+      case 'peak':
+        return Math.abs(sample);
+      case 'true-peak':
+        return this.truePeakDetectors[channel].process(sample);
+      case 'loudness': {
+        const weighted = this.kWeightingFilters[channel].process(sample);
+        return weighted * weighted * LOUDNESS_POWER_SCALE;
+      }
+      default:
+        return sample * sample;
+    }
+  }
+
+  /**
+   * Run a detector for one sample and return its gain
+   */
+  detect(detector, level) {
+    if (this.detectionMode === 'rms' || this.detectionMode === 'loudness') {
+      return detector.processRMS(level, this.curve, this.attackCoeff, this.releaseCoeff);
+    }
+    return detector.processPeak(level, this.curve, this.releaseCoeff, this.peakClampDelay);
+  }
+
+  /**
+   * Pick up the block's curve shape and upward normalization settings for the gain computer
+   */
+  updateCurve(parameters) {
+    const ratio = parameters.ratio[0];
+    this.curve.knee = parameters.knee[0];
+    this.curve.slope = ratio >= MAX_RATIO ? 1 : 1 - 1 / ratio;
+    this.curve.floor = parameters.floor[0];
+    this.curve.gateThreshold = parameters.gateThreshold[0];
+
+    if (parameters.maxBoost[0] !== this.curve.maxBoost) {
+      this.curve.maxBoost = parameters.maxBoost[0];
+      this.curve.maxGain = Math.pow(10, this.curve.maxBoost / 20);
+    }
+  }
+
+  /**
+   * Track the input's speech level and move the adaptive ceiling with it (once per block)
+   * Until speech is heard the level is seeded so the ceiling starts at the threshold param
+   */
+  updateAdaptiveThreshold(input, channelCount, blockLength, threshold) {
+    const tracker = this.speechTracker;
+    if (tracker.speechPower === 0) {
+      tracker.speechPower = Math.pow(10, (threshold - this.adaptiveOffset) / 10);
+    }
+
+    let powerSum = 0;
+    for (let channel = 0; channel < channelCount; channel++) {
+      const samples = input[channel];
+      for (let i = 0; i < blockLength; i++) {
+        powerSum += samples[i] * samples[i];
+      }
+    }
+
+    const adaptationCoeff = 1 - Math.exp(-VAD_FRAME_TIME / this.adaptationTime);
+    tracker.addBlock(powerSum / channelCount, blockLength, adaptationCoeff);
+
+    const lower = Math.min(this.minThreshold, this.maxThreshold);
+    const upper = Math.max(this.minThreshold, this.maxThreshold);
+    this.adaptiveThreshold = Math.min(upper, Math.max(lower, tracker.speechLevelDb + this.adaptiveOffset));
+  }
+
+  /**
+   * STEP 1-3: Compute per-sample gains for the block
+   * Every channel is analyzed at each sample time, so linked detectors see them side by side
+   * key is the signal the detectors listen to: the input itself, or the sidechain
+   * (which may have a different channel count, or none when nothing is connected)
+   */
+  computeGains(key, keyChannelCount, channelCount, blockLength, parameters) {
+    // a-rate params hold one value per sample while automated, otherwise a single value
+    const thresholdValues = parameters.threshold;
+    const attackValues = parameters.attackTime;
+    const releaseValues = parameters.releaseTime;
+    const bypassValues = parameters.bypass;
+    const mixValues = parameters.mix;
+
+    const linked = this.channelMode !== 'independent';
+    const detectorCount = linked ? 1 : channelCount;
+    const adaptive = this.thresholdMode === 'adaptive';
+
+    // While crossfading, the peak window spans the longer of the two delay taps and the shorter one
+    // is clamped on its own, for the whole block so the fade's last samples are covered too
+    const crossfading = this.crossfadePosition < this.crossfadeLength;
+    const peakDelay = crossfading ? Math.max(this.lookaheadDelay, this.previousLookaheadDelay) : this.lookaheadDelay;
+    this.peakClampDelay = crossfading ? Math.min(this.lookaheadDelay, this.previousLookaheadDelay) : -1;
+
+    for (let d = 0; d < detectorCount; d++) {
+      const detector = this.detectors[d];
+      detector.resizePeakWindow(peakDelay + 1);
+      if (detector.gains.length < blockLength) {
+        detector.gains = new Float32Array(blockLength);
+      }
+    }
+
+    for (let i = 0; i < blockLength; i++) {
+      if (adaptive) {
+        this.curve.threshold = this.adaptiveThreshold;
+      } else {
+        this.curve.threshold = thresholdValues.length > 1 ? thresholdValues[i] : thresholdValues[0];
+      }
+      this.updateTimeConstants(
+        attackValues.length > 1 ? attackValues[i] : attackValues[0],
+        releaseValues.length > 1 ? releaseValues[i] : releaseValues[0]
+      );
+
+      if (linked) {
+        // Combine all channels at this sample time into one detector input
+        let level = 0;
+        for (let channel = 0; channel < keyChannelCount; channel++) {
+          const channelLevel = this.channelLevel(channel, key[channel][i]);
+          if (this.channelMode === 'linked-sum') {
+            level += channelLevel;
+          } else if (channelLevel > level) {
+            level = channelLevel;
+          }
         }
-        if (event.data.releaseTime !== undefined) {
-          this.releaseTime = event.data.releaseTime;
-          this.releaseCoeff = 1 - Math.exp(-1 / (this.releaseTime * sampleRate));
+        this.detectors[0].gains[i] = this.detect(this.detectors[0], level);
+      } else {
+        for (let channel = 0; channel < channelCount; channel++) {
+          // A key with fewer channels drives the extra ones from its last channel, no key reads as silence
+          const keyChannel = key[Math.min(channel, keyChannelCount - 1)];
+          const sample = keyChannel ? keyChannel[i] : 0;
+          const detector = this.detectors[channel];
+          detector.gains[i] = this.detect(detector, this.channelLevel(channel, sample));
         }
-        if (event.data.rmsWindow !== undefined) {
-          // Update RMS window size and reset buffer
-          const newWindowSize = Math.floor(sampleRate * event.data.rmsWindow);
-          if (newWindowSize !== this.rmsWindowSize) {
-            this.rmsWindowSize = newWindowSize;
-            this.rmsBuffer = new Float32Array(this.rmsWindowSize);
-            this.rmsBufferIndex = 0;
-            this.rmsSum = 0;
+      }
+
+      // Blend the gain toward unity for the dry share (same signal, so a linear fade is click-free)
+      const bypass = bypassValues.length > 1 ? bypassValues[i] : bypassValues[0];
+      const mix = mixValues.length > 1 ? mixValues[i] : mixValues[0];
+      this.wetAmount = mix * (1 - bypass);
+      if (this.wetAmount < 1) {
+        for (let d = 0; d < detectorCount; d++) {
+          const gains = this.detectors[d].gains;
+          gains[i] = 1 + (gains[i] - 1) * this.wetAmount;
+        }
+      }
+    }
+  }
+
+  /**
+   * Multiband stage: split every channel into bands, level each band with its own threshold
+   * and RMS envelope, and sum the bands back into bandOutput
+   * The broadband stage then limits (and listens to) the sum, so the overall ceiling still holds
+   */
+  processBands(input, channelCount, blockLength, parameters) {
+    const bypassValues = parameters.bypass;
+    const mixValues = parameters.mix;
+    const linked = this.channelMode !== 'independent';
+
+    for (let band = 0; band < this.bandCount; band++) {
+      this.bands[band].curve.knee = this.curve.knee;
+      this.bands[band].curve.slope = this.curve.slope;
+    }
+    for (let channel = 0; channel < channelCount; channel++) {
+      if (this.bandOutput[channel].length < blockLength) {
+        this.bandOutput[channel] = new Float32Array(blockLength);
+      }
+      this.bandOutput[channel].fill(0, 0, blockLength);
+    }
+
+    for (let i = 0; i < blockLength; i++) {
+      for (let channel = 0; channel < channelCount; channel++) {
+        this.bandSplitters[channel].split(input[channel][i]);
+      }
+
+      // Band gains fade toward unity for the dry share, like the broadband gain
+      const bypass = bypassValues.length > 1 ? bypassValues[i] : bypassValues[0];
+      const mix = mixValues.length > 1 ? mixValues[i] : mixValues[0];
+      const wetAmount = mix * (1 - bypass);
+
+      for (let band = 0; band < this.bandCount; band++) {
+        const state = this.bands[band];
+        const detectors = this.bandDetectors[band];
+
+        let linkedGain = DEFAULT_INITIAL_GAIN;
+        if (linked) {
+          let power = 0;
+          for (let channel = 0; channel < channelCount; channel++) {
+            const sample = this.bandSplitters[channel].bands[band];
+            if (this.channelMode === 'linked-sum') {
+              power += sample * sample;
+            } else if (sample * sample > power) {
+              power = sample * sample;
+            }
           }
+          linkedGain = detectors[0].processRMS(power, state.curve, state.attackCoeff, state.releaseCoeff);
+        }
+
+        for (let channel = 0; channel < channelCount; channel++) {
+          const sample = this.bandSplitters[channel].bands[band];
+          let gain = linked
+            ? linkedGain
+            : detectors[channel].processRMS(sample * sample, state.curve, state.attackCoeff, state.releaseCoeff);
+          gain = 1 + (gain - 1) * wetAmount;
+
+          if (gain < state.minGain) state.minGain = gain;
+          this.bandOutput[channel][i] += sample * gain;
         }
       }
-    };
+    }
+
+    return this.bandOutput;
   }
 
   /**
-   * Calculate RMS (Root Mean Square) using a sliding window
-   * Provides perceived loudness measurement more accurate than peak detection
+   * Accumulate the block's gain and level, posting a report once per telemetry interval
+   * Gains apply to the delayed output, so they line up with what is heard rather than the input
+   * and already include the mix and bypass blend
    */
-  calculateRMS(sample) {
-    // Remove oldest sample from sum
-    this.rmsSum -= this.rmsBuffer[this.rmsBufferIndex] * this.rmsBuffer[this.rmsBufferIndex];
+  updateTelemetry(channelCount, blockLength, threshold) {
+    if (this.telemetryInterval <= 0) return;
 
-    // Add new sample to buffer and sum
-    this.rmsBuffer[this.rmsBufferIndex] = sample;
-    this.rmsSum += sample * sample;
+    const detectorCount = this.channelMode === 'independent' ? channelCount : 1;
+    let currentGain = DEFAULT_INITIAL_GAIN;
 
-    // Move to next buffer position (circular buffer)
-    this.rmsBufferIndex = (this.rmsBufferIndex + 1) % this.rmsWindowSize;
+    for (let d = 0; d < detectorCount; d++) {
+      const detector = this.detectors[d];
+      for (let i = 0; i < blockLength; i++) {
+        if (detector.gains[i] < this.telemetryMinGain) {
+          this.telemetryMinGain = detector.gains[i];
+        }
+      }
+      currentGain = Math.min(currentGain, 1 + (detector.currentGain - 1) * this.wetAmount);
+      this.telemetryMaxLevel = Math.max(this.telemetryMaxLevel, detector.level);
+    }
+
+    this.telemetrySamples += blockLength;
+    if (this.telemetrySamples < this.telemetryInterval * sampleRate) return;
+
+    // Speech level behind the adaptive threshold (null while the threshold is fixed)
+    const adaptive = this.thresholdMode === 'adaptive';
+
+    // Worst reduction of each band since the last report (empty when multiband is off)
+    const bandReductionDb = [];
+    for (let band = 0; band < this.bandCount && this.bandCount > 1; band++) {
+      bandReductionDb.push(-linearToDb(this.bands[band].minGain));
+      this.bands[band].minGain = DEFAULT_INITIAL_GAIN;
+    }
+
+    this.port.postMessage({
+      type: 'telemetry',
+      time: currentTime + blockLength / sampleRate,
+      currentGain,
+      gainReductionDb: -linearToDb(currentGain),
+      peakReductionDb: -linearToDb(this.telemetryMinGain),
+      detectorDb: linearToDb(this.telemetryMaxLevel),
+      threshold,
+      latencySamples: this.lookaheadDelay,
+      bandReductionDb,
+      speechLevelDb: adaptive ? this.speechTracker.speechLevelDb : null,
+      voiceActive: adaptive && this.speechTracker.voiceActive,
+    });
 
-    // Calculate RMS
-    return Math.sqrt(this.rmsSum / this.rmsWindowSize);
+    this.telemetrySamples = 0;
+    this.telemetryMinGain = DEFAULT_INITIAL_GAIN;
+    this.telemetryMaxLevel = 0;
+  }
+
+  /**
+   * Measure the K-weighted power of the block's output, posting it once per loudness block
+   * The main thread turns these into momentary, short-term and integrated loudness
+   */
+  updateLoudness(output, channelCount, blockLength) {
+    if (!this.loudnessReports) return;
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      const outputChannel = output[channel];
+      const weight = loudnessChannelWeight(channel, channelCount);
+      if (!outputChannel || weight === 0) continue;
+
+      const filter = this.loudnessFilters[channel];
+      let sum = 0;
+      for (let i = 0; i < blockLength; i++) {
+        const weighted = filter.process(outputChannel[i]);
+        sum += weighted * weighted;
+      }
+      this.loudnessSum += weight * sum;
+    }
+
+    this.loudnessSamples += blockLength;
+    if (this.loudnessSamples < LOUDNESS_BLOCK_TIME * sampleRate) return;
+
+    this.port.postMessage({
+      type: 'loudness',
+      time: currentTime + blockLength / sampleRate,
+      duration: this.loudnessSamples / sampleRate,
+      power: this.loudnessSum / this.loudnessSamples,
+    });
+
+    this.loudnessSum = 0;
+    this.loudnessSamples = 0;
   }
 
   /**
@@ -112,59 +1330,59 @@ class LimiterProcessor extends AudioWorkletProcessor {
       return true;
     }
 
-    // Process each channel (mono or stereo)
-    for (let channel = 0; channel < input.length; channel++) {
-      const inputChannel = input[channel];
+    const channelCount = Math.min(input.length, MAX_CHANNELS);
+    const blockLength = input[0].length;
+
+    const sidechain = inputs[SIDECHAIN_INPUT] || [];
+    const external = this.detectionSource === 'external';
+    this.ensureChannels(external ? Math.max(channelCount, sidechain.length) : channelCount);
+
+    this.updateRMSWindow(parameters.rmsWindow[0]);
+    this.updateLookahead(parameters.lookaheadTime[0]);
+    this.updateCurve(parameters);
+    const crossfadeStart = this.crossfadePosition;
+
+    const thresholdValues = parameters.threshold;
+    if (this.thresholdMode === 'adaptive') {
+      this.updateAdaptiveThreshold(input, channelCount, blockLength, thresholdValues[0]);
+    }
+
+    // In multiband mode the broadband stage limits the leveled band sum instead of the raw input
+    const source = this.bandCount > 1 ? this.processBands(input, channelCount, blockLength, parameters) : input;
+
+    // External detection listens to the sidechain, which is silent until something is connected
+    const key = external ? sidechain : source;
+    const keyChannelCount = external ? Math.min(sidechain.length, MAX_CHANNELS) : channelCount;
+
+    this.computeGains(key, keyChannelCount, channelCount, blockLength, parameters);
+    const linked = this.channelMode !== 'independent';
+
+    // STEP 4: Delay each channel and apply the gain calculated from "future" audio
+    for (let channel = 0; channel < channelCount; channel++) {
+      const inputChannel = source[channel];
       const outputChannel = output[channel];
+      if (!outputChannel) continue;
 
+      const gains = this.detectors[linked ? 0 : channel].gains;
       const lookaheadBuffer = this.lookaheadBuffers[channel];
       let lookaheadIndex = this.lookaheadIndices[channel];
-      let filled = this.lookaheadFilled[channel];
-
-      // Process each sample in the block (128 samples)
-      for (let i = 0; i < inputChannel.length; i++) {
-        const sample = inputChannel[i];
-
-        // STEP 1: Write incoming sample to lookahead buffer
-        lookaheadBuffer[lookaheadIndex] = sample;
-
-        // STEP 2: Analyze current sample (the "future" audio)
-        const rms = this.calculateRMS(sample);
-        const db = rms > 0 ? 20 * Math.log10(rms) : MIN_DB_VALUE;
-
-        // Calculate target gain based on threshold
-        let targetGain;
-        if (db > this.threshold) {
-          const gainDb = this.threshold - db;
-          targetGain = Math.pow(10, gainDb / 20);
-        } else {
-          targetGain = DEFAULT_INITIAL_GAIN; // Unity gain when below threshold
-        }
+      let crossfadePosition = crossfadeStart;
 
-        // STEP 3: Smooth gain changes with attack/release envelope
-        // This prevents rapid gain jitter while lookahead prevents lag-based pumping
-        if (targetGain < this.currentGain) {
-          // Attack: fast gain reduction
-          this.currentGain += (targetGain - this.currentGain) * this.attackCoeff;
-        } else {
-          // Release: slow gain restoration
-          this.currentGain += (targetGain - this.currentGain) * this.releaseCoeff;
-        }
+      for (let i = 0; i < blockLength; i++) {
+        // Write incoming sample to lookahead buffer
+        lookaheadBuffer[lookaheadIndex] = inputChannel[i];
 
-        // STEP 4: Determine output sample
-        let outputSample;
-        if (filled < this.lookaheadSize) {
-          // Buffer still filling - output current sample with gain (no delay yet)
-          outputSample = sample * this.currentGain;
-          filled++;
-        } else {
-          // Buffer full - read oldest sample (lookahead delay is active)
-          // Apply gain calculated from "future" audio to delayed sample
-          const readIndex = (lookaheadIndex + 1) % this.lookaheadSize;
-          outputSample = lookaheadBuffer[readIndex] * this.currentGain;
+        // Read the delayed sample
+        let delayedSample = this.readLookahead(lookaheadBuffer, lookaheadIndex, this.lookaheadDelay);
+        if (crossfadePosition < this.crossfadeLength) {
+          // Lookahead changed - fade from the old delay tap to the new one
+          const previousSample = this.readLookahead(lookaheadBuffer, lookaheadIndex, this.previousLookaheadDelay);
+          const fade = crossfadePosition / this.crossfadeLength;
+          delayedSample = previousSample + (delayedSample - previousSample) * fade;
+          crossfadePosition++;
         }
 
-        outputChannel[i] = outputSample;
+        outputChannel[i] = delayedSample * gains[i];
 
         // STEP 5: Advance circular buffer index
         lookaheadIndex = (lookaheadIndex + 1) % this.lookaheadSize;
@@ -172,9 +1390,16 @@ class LimiterProcessor extends AudioWorkletProcessor {
 
       // Save channel state back
       this.lookaheadIndices[channel] = lookaheadIndex;
-      this.lookaheadFilled[channel] = filled;
+      this.crossfadePosition = crossfadePosition;
     }
 
+    // Report the ceiling actually in use, so the threshold line follows the adaptive value
+    const threshold = this.thresholdMode === 'adaptive'
+      ? this.adaptiveThreshold
+      : thresholdValues[thresholdValues.length - 1];
+    this.updateTelemetry(channelCount, blockLength, threshold);
+    this.updateLoudness(output, channelCount, blockLength);
+
     return true;
   }
 }
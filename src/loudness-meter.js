@@ -0,0 +1,93 @@
+/**
+ * ITU-R BS.1770 loudness meter fed by the worklet's 100ms K-weighted power blocks
+ * Momentary (400ms), short-term (3s) and gated integrated loudness in LUFS
+ */
+const LOUDNESS_OFFSET = -0.691;          // dB - turns K-weighted power into LUFS
+const MOMENTARY_BLOCKS = 4;              // 400ms of 100ms blocks
+const SHORT_TERM_BLOCKS = 30;            // 3s of 100ms blocks
+const ABSOLUTE_GATE = -70;               // LUFS - gating blocks quieter than this are ignored
+const RELATIVE_GATE = -10;               // LU below the ungated loudness
+
+/**
+ * Convert a mean K-weighted power to LUFS (-Infinity for silence)
+ */
+export function powerToLufs(power) {
+  return power > 0 ? LOUDNESS_OFFSET + 10 * Math.log10(power) : -Infinity;
+}
+
+export class LoudnessMeter {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget everything measured so far (starts a new integrated measurement)
+   */
+  reset() {
+    this.blocks = [];        // recent 100ms block powers, enough for the short-term window
+    this.gatingBlocks = [];  // 400ms block powers (75% overlap) for integrated loudness
+  }
+
+  /**
+   * Add one 100ms block of K-weighted power, as posted by the worklet
+   */
+  addBlock(power) {
+    this.blocks.push(power);
+    if (this.blocks.length > SHORT_TERM_BLOCKS) {
+      this.blocks.shift();
+    }
+
+    if (this.blocks.length >= MOMENTARY_BLOCKS) {
+      this.gatingBlocks.push(this.meanPower(MOMENTARY_BLOCKS));
+    }
+  }
+
+  /**
+   * Mean power of the most recent blocks
+   */
+  meanPower(count) {
+    const recent = this.blocks.slice(-count);
+    return recent.reduce((sum, power) => sum + power, 0) / recent.length;
+  }
+
+  /**
+   * Loudness of the last 400ms (null until that much has been measured)
+   */
+  getMomentary() {
+    return this.blocks.length >= MOMENTARY_BLOCKS ? powerToLufs(this.meanPower(MOMENTARY_BLOCKS)) : null;
+  }
+
+  /**
+   * Loudness of the last 3s (null until that much has been measured)
+   */
+  getShortTerm() {
+    return this.blocks.length >= SHORT_TERM_BLOCKS ? powerToLufs(this.meanPower(SHORT_TERM_BLOCKS)) : null;
+  }
+
+  /**
+   * Gated loudness of everything since the last reset (null until a block passes the gates)
+   */
+  getIntegrated() {
+    const absoluteGatePower = Math.pow(10, (ABSOLUTE_GATE - LOUDNESS_OFFSET) / 10);
+    const audible = this.gatingBlocks.filter((power) => power > absoluteGatePower);
+    if (audible.length === 0) return null;
+
+    const ungatedPower = audible.reduce((sum, power) => sum + power, 0) / audible.length;
+    const relativeGatePower = ungatedPower * Math.pow(10, RELATIVE_GATE / 10);
+    const gated = audible.filter((power) => power > relativeGatePower);
+    if (gated.length === 0) return null;
+
+    return powerToLufs(gated.reduce((sum, power) => sum + power, 0) / gated.length);
+  }
+
+  /**
+   * All three readings at once
+   */
+  getLoudness() {
+    return {
+      momentaryLufs: this.getMomentary(),
+      shortTermLufs: this.getShortTerm(),
+      integratedLufs: this.getIntegrated(),
+    };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Offline rendering of recorded clips through the same limiter worklet
+ * Renders in an OfflineAudioContext with the live processor's settings and exports WAV
+ */
+import { VoiceVolumeNormalizer } from './audio-processor.js';
+
+const WAV_BITS_PER_SAMPLE = 16;
+
+export class OfflineLimiterRenderer {
+  constructor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Decode a user-selected file (File or Blob) into an AudioBuffer
+   */
+  async decodeFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+
+    // decodeAudioData needs a context, a tiny offline one avoids touching the live graph
+    const sampleRate = this.processor.audioCtx ? this.processor.audioCtx.sampleRate : 48000;
+    const decodeCtx = new OfflineAudioContext(1, 1, sampleRate);
+    return decodeCtx.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Render an AudioBuffer through limiter-processor using the current settings
+   * The lookahead delay is trimmed so the result lines up with the original
+   */
+  async render(inputBuffer) {
+    const { numberOfChannels, length, sampleRate } = inputBuffer;
+    const parameters = this.processor.getParameters();
+    const latencySamples = Math.round((parameters.lookaheadTime / 1000) * sampleRate);
+
+    const offlineCtx = new OfflineAudioContext(numberOfChannels, length + latencySamples, sampleRate);
+    const normalizer = new VoiceVolumeNormalizer(parameters.threshold, {
+      channelCount: numberOfChannels,
+      workletUrl: this.processor.workletUrl,
+    });
+    normalizer.updateParameters({ ...parameters, telemetryInterval: 0 });
+    await normalizer.initialize(offlineCtx);
+
+    const sourceNode = new AudioBufferSourceNode(offlineCtx, { buffer: inputBuffer });
+    normalizer.enable(sourceNode, offlineCtx.destination);
+    sourceNode.start();
+
+    const rendered = await offlineCtx.startRendering();
+    normalizer.destroy();
+
+    const outputBuffer = new AudioBuffer({ numberOfChannels, length, sampleRate });
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+      outputBuffer.copyToChannel(rendered.getChannelData(ch).subarray(latencySamples, latencySamples + length), ch);
+    }
+
+    return outputBuffer;
+  }
+
+  /**
+   * Encode an AudioBuffer as a 16-bit PCM WAV file
+   */
+  encodeWav(audioBuffer) {
+    const { numberOfChannels, length, sampleRate } = audioBuffer;
+    const bytesPerSample = WAV_BITS_PER_SAMPLE / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // fmt chunk (PCM)
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, WAV_BITS_PER_SAMPLE, true);
+
+    // data chunk, channels interleaved
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+      channels.push(audioBuffer.getChannelData(ch));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+      for (let ch = 0; ch < numberOfChannels; ch++) {
+        const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        offset += bytesPerSample;
+      }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Download an AudioBuffer as a WAV file
+   */
+  downloadWav(audioBuffer, filename = 'processed.wav') {
+    const blob = this.encodeWav(audioBuffer);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
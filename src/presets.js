@@ -0,0 +1,327 @@
+/**
+ * Named presets for the whole VoiceVolumeNormalizer configuration
+ * Built-in presets plus custom ones saved to localStorage, with JSON import/export
+ * and encoding of settings into a shareable page URL
+ */
+import { DEFAULT_PARAMETERS, PARAMETER_CHOICES, MAX_BANDS, DEFAULT_CROSSOVERS } from './audio-processor.js';
+import { ParameterError } from './errors.js';
+
+const PRESET_STORAGE_KEY = 'volume-clamp-presets';
+const PRESET_FORMAT_VERSION = 1;
+
+// Settings captured by a preset, with the type each one must have
+// (multiband ones are structured: see sanitizeSetting)
+const PRESET_SETTINGS = {
+  threshold: 'number',
+  knee: 'number',
+  ratio: 'number',
+  floor: 'number',
+  maxBoost: 'number',
+  gateThreshold: 'number',
+  attackTime: 'number',
+  releaseTime: 'number',
+  rmsWindow: 'number',
+  lookaheadTime: 'number',
+  mix: 'number',
+  detectionMode: 'string',
+  channelMode: 'string',
+  thresholdMode: 'string',
+  adaptiveOffset: 'number',
+  minThreshold: 'number',
+  maxThreshold: 'number',
+  adaptationTime: 'number',
+  bandCount: 'bandCount',
+  crossovers: 'crossovers',
+  bands: 'bands',
+};
+
+const BAND_SETTINGS = ['threshold', 'attackTime', 'releaseTime'];
+
+// Multiband settings of a preset that doesn't have any: broadband, as the normalizer starts
+const MULTIBAND_DEFAULTS = Object.freeze({
+  bandCount: 1,
+  crossovers: DEFAULT_CROSSOVERS,
+  bands: Object.freeze(Array.from({ length: MAX_BANDS }, () => Object.freeze({
+    threshold: DEFAULT_PARAMETERS.threshold,
+    attackTime: DEFAULT_PARAMETERS.attackTime,
+    releaseTime: DEFAULT_PARAMETERS.releaseTime,
+  }))),
+});
+
+/**
+ * An object of named entries: not null, an array or a primitive
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * A real number, not NaN or Infinity
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check one preset setting against its type, returning a clean copy or undefined if it can't be used
+ * Multiband settings must be complete: a whole number of bands, every crossover in ascending order
+ * and every band with all of its settings
+ */
+function sanitizeSetting(key, type, value) {
+  switch (type) {
+    case 'number':
+      return isFiniteNumber(value) ? value : undefined;
+    case 'string':
+      return typeof value === 'string' && (!PARAMETER_CHOICES[key] || PARAMETER_CHOICES[key].includes(value))
+        ? value
+        : undefined;
+    case 'bandCount':
+      return Number.isInteger(value) && value >= 1 && value <= MAX_BANDS ? value : undefined;
+    case 'crossovers':
+      return Array.isArray(value)
+        && value.length === MAX_BANDS - 1
+        && value.every((frequency, i) => isFiniteNumber(frequency) && (i === 0 || frequency >= value[i - 1]))
+        ? value.slice()
+        : undefined;
+    case 'bands':
+      return Array.isArray(value)
+        && value.length === MAX_BANDS
+        && value.every((band) => band && typeof band === 'object' && BAND_SETTINGS.every((name) => isFiniteNumber(band[name])))
+        ? value.map((band) => Object.fromEntries(BAND_SETTINGS.map((name) => [name, band[name]])))
+        : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Write a setting as a URL query value (crossovers as "200,1000,4000", bands as "threshold:attack:release,...")
+ */
+function encodeSetting(type, value) {
+  if (type === 'crossovers') return value.join(',');
+  if (type === 'bands') return value.map((band) => BAND_SETTINGS.map((name) => band[name]).join(':')).join(',');
+  return String(value);
+}
+
+/**
+ * Read a setting back from a URL query value (anything malformed comes out as NaN, for sanitize to drop)
+ */
+function decodeSetting(type, text) {
+  switch (type) {
+    case 'number':
+    case 'bandCount':
+      return parseFloat(text);
+    case 'crossovers':
+      return text.split(',').map(parseFloat);
+    case 'bands':
+      return text.split(',').map((band) => {
+        const values = band.split(':').map(parseFloat);
+        return Object.fromEntries(BAND_SETTINGS.map((name, i) => [name, values.length === BAND_SETTINGS.length ? values[i] : NaN]));
+      });
+    default:
+      return text;
+  }
+}
+
+export const BUILTIN_PRESETS = Object.freeze({
+  'Default': DEFAULT_PARAMETERS,
+  'Gentle voice': Object.freeze({
+    ...DEFAULT_PARAMETERS,
+    threshold: -18,
+    knee: 10,
+    ratio: 8,
+    attackTime: 25,
+    releaseTime: 250,
+    rmsWindow: 10,
+  }),
+  'Ear saver': Object.freeze({
+    ...DEFAULT_PARAMETERS,
+    threshold: -26,
+    attackTime: 1,
+    releaseTime: 150,
+    rmsWindow: 2,
+    lookaheadTime: 5,
+    detectionMode: 'true-peak',
+  }),
+  'Proximity leveler': Object.freeze({
+    ...DEFAULT_PARAMETERS,
+    threshold: -20,
+    floor: -32,
+    maxBoost: 12,
+    gateThreshold: -55,
+    releaseTime: 400,
+  }),
+  'Broadcast': Object.freeze({
+    ...DEFAULT_PARAMETERS,
+    threshold: -14,
+    attackTime: 5,
+    releaseTime: 120,
+    detectionMode: 'peak',
+  }),
+});
+
+export class PresetManager {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.customPresets = this.loadCustomPresets();
+  }
+
+  /**
+   * Keep only known settings with the right types, dropping anything else
+   * (including modes the normalizer doesn't know, so a bad shared link can't make it throw)
+   */
+  sanitize(settings) {
+    const clean = {};
+    if (!isPlainObject(settings)) return clean;
+
+    for (const [key, type] of Object.entries(PRESET_SETTINGS)) {
+      const value = sanitizeSetting(key, type, settings[key]);
+      if (value !== undefined) {
+        clean[key] = value;
+      }
+    }
+
+    return clean;
+  }
+
+  /**
+   * Read custom presets from storage, ignoring anything unreadable
+   * Presets are keyed by user-chosen names, so they live in a prototype-free object
+   * (a preset called "constructor" or "__proto__" is just a preset)
+   */
+  loadCustomPresets() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(PRESET_STORAGE_KEY) || '{}');
+      const presets = Object.create(null);
+      if (isPlainObject(stored) && isPlainObject(stored.presets)) {
+        for (const [name, settings] of Object.entries(stored.presets)) {
+          presets[name] = this.sanitize(settings);
+        }
+      }
+      return presets;
+    } catch (e) {
+      console.warn('[Presets] Ignoring unreadable saved presets:', e);
+      return Object.create(null);
+    }
+  }
+
+  /**
+   * Write custom presets back to storage
+   */
+  persist() {
+    this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify({
+      version: PRESET_FORMAT_VERSION,
+      presets: this.customPresets,
+    }));
+  }
+
+  /**
+   * Names of all presets, built-in first
+   */
+  getPresetNames() {
+    return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(this.customPresets)];
+  }
+
+  /**
+   * Whether a preset ships with the app (and so can't be overwritten or deleted)
+   */
+  isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name);
+  }
+
+  /**
+   * Full settings for a preset, with defaults filled in for anything it leaves out
+   * (a copy, so changing the band lists doesn't change the stored preset)
+   */
+  getPreset(name) {
+    const preset = this.isBuiltin(name) ? BUILTIN_PRESETS[name] : this.customPresets[name];
+    if (!preset) return null;
+
+    return structuredClone({ ...DEFAULT_PARAMETERS, ...MULTIBAND_DEFAULTS, ...preset });
+  }
+
+  /**
+   * Save settings as a custom preset
+   */
+  savePreset(name, settings) {
+    if (typeof name !== 'string' || !name || this.isBuiltin(name)) {
+      throw new ParameterError('name', name, 'a name that is not taken by a built-in preset');
+    }
+
+    this.customPresets[name] = this.sanitize(settings);
+    this.persist();
+  }
+
+  /**
+   * Delete a custom preset
+   */
+  deletePreset(name) {
+    if (!this.customPresets[name]) return false;
+
+    delete this.customPresets[name];
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Serialize custom presets (or just the named ones) as JSON
+   */
+  exportPresets(names = Object.keys(this.customPresets)) {
+    const presets = Object.create(null);
+    for (const name of names) {
+      const preset = this.getPreset(name);
+      if (preset) presets[name] = preset;
+    }
+
+    return JSON.stringify({ version: PRESET_FORMAT_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Merge presets from exported JSON, returning the names that were imported
+   * Presets named like a built-in one are skipped
+   */
+  importPresets(json) {
+    const data = JSON.parse(json);
+    if (!isPlainObject(data) || !isPlainObject(data.presets)) {
+      throw new ParameterError('presets', isPlainObject(data) ? data.presets : data, 'a preset file with an object of named presets');
+    }
+
+    const imported = [];
+    for (const [name, settings] of Object.entries(data.presets)) {
+      if (this.isBuiltin(name)) continue;
+      this.customPresets[name] = this.sanitize(settings);
+      imported.push(name);
+    }
+
+    this.persist();
+    return imported;
+  }
+
+  /**
+   * Encode settings as URL query parameters for sharing
+   */
+  encodeToURL(settings, baseURL = window.location.href) {
+    const url = new URL(baseURL);
+    for (const [key, value] of Object.entries(this.sanitize(settings))) {
+      url.searchParams.set(key, encodeSetting(PRESET_SETTINGS[key], value));
+    }
+    return url.toString();
+  }
+
+  /**
+   * Read settings back from URL query parameters
+   * Returns null when the URL holds no settings
+   */
+  decodeFromURL(urlString = window.location.href) {
+    const params = new URL(urlString).searchParams;
+    const settings = {};
+
+    for (const [key, type] of Object.entries(PRESET_SETTINGS)) {
+      if (!params.has(key)) continue;
+      settings[key] = decodeSetting(type, params.get(key));
+    }
+
+    const clean = this.sanitize(settings);
+    return Object.keys(clean).length > 0 ? clean : null;
+  }
+}
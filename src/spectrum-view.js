@@ -0,0 +1,257 @@
+/**
+ * Frequency view built on the visualizer's input and output analysers
+ * Overlays the input and output spectra on a Chart.js chart and draws a scrolling
+ * spectrogram (input on top, output below) to show how the clamp treats each band
+ */
+const MIN_FREQUENCY = 20; // Hz - bottom of the log frequency axis
+const SPECTRUM_POINTS = 256; // log-spaced points per spectrum trace
+const MIN_SPECTRUM_DB = -120;
+const MAX_SPECTRUM_DB = 0;
+
+/**
+ * Map a level in dB onto a dark-blue -> red -> yellow heat colour
+ */
+function heatColor(db) {
+  const t = Math.max(0, Math.min(1, (db - MIN_SPECTRUM_DB) / (MAX_SPECTRUM_DB - MIN_SPECTRUM_DB)));
+  const hue = 240 - 200 * t;
+  const lightness = 8 + 52 * t;
+  return `hsl(${hue}, 90%, ${lightness}%)`;
+}
+
+export class SpectrumView {
+  constructor(visualizer, { spectrumCanvasId = 'spectrumChart', spectrogramCanvasId = 'spectrogram' } = {}) {
+    this.visualizer = visualizer;
+    this.spectrumCanvasId = spectrumCanvasId;
+    this.spectrogramCanvas = document.getElementById(spectrogramCanvasId);
+    this.spectrumChart = null;
+    this.animationId = null;
+
+    this.inputSpectrum = null;
+    this.outputSpectrum = null;
+    this.inputData = [];
+    this.outputData = [];
+    this.frequencies = null;
+    this.frequenciesNyquist = null;
+
+    // Spectrogram row -> FFT bin lookup, rebuilt when the canvas or sample rate changes
+    this.rowBins = null;
+    this.rowBinsKey = null;
+  }
+
+  /**
+   * Log-spaced frequencies shared by the spectrum traces
+   */
+  spectrumFrequencies(nyquist) {
+    const frequencies = [];
+    const ratio = nyquist / MIN_FREQUENCY;
+    for (let i = 0; i < SPECTRUM_POINTS; i++) {
+      frequencies.push(MIN_FREQUENCY * Math.pow(ratio, i / (SPECTRUM_POINTS - 1)));
+    }
+    return frequencies;
+  }
+
+  /**
+   * Create the spectrum overlay chart (log frequency axis)
+   */
+  initializeSpectrumChart(nyquist) {
+    if (this.spectrumChart) return;
+
+    const canvas = document.getElementById(this.spectrumCanvasId);
+    if (!canvas) return;
+
+    this.spectrumChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: 'Input Spectrum',
+            data: this.inputData,
+            borderColor: '#3498db',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+          },
+          {
+            label: 'Output Spectrum',
+            data: this.outputData,
+            borderColor: '#e74c3c',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        scales: {
+          x: {
+            type: 'logarithmic',
+            title: {
+              display: true,
+              text: 'Frequency (Hz)'
+            },
+            min: MIN_FREQUENCY,
+            max: nyquist
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Level (dB)'
+            },
+            min: MIN_SPECTRUM_DB,
+            max: MAX_SPECTRUM_DB
+          }
+        },
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top'
+          },
+          tooltip: {
+            enabled: false
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Reduce an analyser's spectrum to the chart's log-spaced points (loudest bin per point)
+   */
+  sampleSpectrum(spectrum, frequencies, binWidth, target) {
+    target.length = 0;
+
+    for (let i = 0; i < frequencies.length; i++) {
+      const low = i > 0 ? Math.sqrt(frequencies[i - 1] * frequencies[i]) : frequencies[i];
+      const high = i + 1 < frequencies.length ? Math.sqrt(frequencies[i] * frequencies[i + 1]) : frequencies[i];
+      const firstBin = Math.min(spectrum.length - 1, Math.round(low / binWidth));
+      const lastBin = Math.min(spectrum.length - 1, Math.max(firstBin, Math.round(high / binWidth)));
+
+      let db = -Infinity;
+      for (let bin = firstBin; bin <= lastBin; bin++) {
+        db = Math.max(db, spectrum[bin]);
+      }
+      target.push({ x: frequencies[i], y: Math.max(MIN_SPECTRUM_DB, db) });
+    }
+  }
+
+  /**
+   * FFT bin for every pixel row of one spectrogram half, low frequencies at the bottom
+   */
+  buildRowBins(rows, nyquist, binCount) {
+    const bins = new Uint16Array(rows);
+    const ratio = nyquist / MIN_FREQUENCY;
+    for (let row = 0; row < rows; row++) {
+      const frequency = MIN_FREQUENCY * Math.pow(ratio, 1 - row / Math.max(1, rows - 1));
+      bins[row] = Math.min(binCount - 1, Math.round((frequency / nyquist) * binCount));
+    }
+    return bins;
+  }
+
+  /**
+   * Scroll the spectrogram left by one pixel and draw the newest column for both signals
+   */
+  drawSpectrogramColumn(nyquist) {
+    const canvas = this.spectrogramCanvas;
+    if (!canvas) return;
+
+    // Match the canvas resolution to its layout size
+    if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
+      canvas.width = canvas.clientWidth;
+      canvas.height = canvas.clientHeight;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const halfHeight = Math.floor(height / 2);
+    if (width === 0 || halfHeight === 0) return;
+
+    const key = `${halfHeight}:${nyquist}:${this.inputSpectrum.length}`;
+    if (key !== this.rowBinsKey) {
+      this.rowBins = this.buildRowBins(halfHeight, nyquist, this.inputSpectrum.length);
+      this.rowBinsKey = key;
+    }
+
+    ctx.drawImage(canvas, -1, 0);
+
+    const halves = [
+      { spectrum: this.inputSpectrum, top: 0 },
+      { spectrum: this.outputSpectrum, top: halfHeight },
+    ];
+    for (const { spectrum, top } of halves) {
+      for (let row = 0; row < halfHeight; row++) {
+        ctx.fillStyle = heatColor(spectrum[this.rowBins[row]]);
+        ctx.fillRect(width - 1, top + row, 1, 1);
+      }
+    }
+
+    // Divider between the input and output halves
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(width - 1, halfHeight, 1, 1);
+  }
+
+  /**
+   * Read both analysers and redraw the spectrum and spectrogram
+   */
+  update() {
+    const { inputAnalyser, outputAnalyser, processor } = this.visualizer;
+
+    // Follow the level chart: only scroll while its loop is running (i.e. audio is playing)
+    if (inputAnalyser && outputAnalyser && processor.isActive && this.visualizer.animationId !== null) {
+      const nyquist = processor.audioCtx.sampleRate / 2;
+      const binWidth = nyquist / inputAnalyser.frequencyBinCount;
+
+      if (!this.inputSpectrum || this.inputSpectrum.length !== inputAnalyser.frequencyBinCount) {
+        this.inputSpectrum = new Float32Array(inputAnalyser.frequencyBinCount);
+        this.outputSpectrum = new Float32Array(outputAnalyser.frequencyBinCount);
+      }
+
+      inputAnalyser.getFloatFrequencyData(this.inputSpectrum);
+      outputAnalyser.getFloatFrequencyData(this.outputSpectrum);
+
+      this.initializeSpectrumChart(nyquist);
+      if (this.spectrumChart) {
+        if (this.frequenciesNyquist !== nyquist) {
+          this.frequencies = this.spectrumFrequencies(nyquist);
+          this.frequenciesNyquist = nyquist;
+        }
+        this.sampleSpectrum(this.inputSpectrum, this.frequencies, binWidth, this.inputData);
+        this.sampleSpectrum(this.outputSpectrum, this.frequencies, binWidth, this.outputData);
+        this.spectrumChart.update('none');
+      }
+
+      this.drawSpectrogramColumn(nyquist);
+    }
+
+    this.animationId = requestAnimationFrame(() => this.update());
+  }
+
+  /**
+   * Start drawing (analysers are picked up once the visualizer has created them)
+   */
+  start() {
+    if (this.animationId !== null) return;
+    this.update();
+  }
+
+  /**
+   * Stop drawing, leaving the last frame on screen
+   */
+  stop() {
+    if (this.animationId !== null) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  /**
+   * Clear the spectrogram history
+   */
+  clear() {
+    if (!this.spectrogramCanvas) return;
+    const ctx = this.spectrogramCanvas.getContext('2d');
+    ctx.clearRect(0, 0, this.spectrogramCanvas.width, this.spectrogramCanvas.height);
+  }
+}
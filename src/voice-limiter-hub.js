@@ -0,0 +1,183 @@
+/**
+ * Multi-source limiter hub for proximity chat
+ * Each attached voice gets its own limiter, then all voices are summed
+ * into a shared mix bus that is clamped by a master ceiling
+ */
+import { VoiceVolumeNormalizer } from './audio-processor.js';
+import { LIMITER_WORKLET_URL } from './limiter-node.js';
+import { ParameterError } from './errors.js';
+
+const DEFAULT_SOURCE_THRESHOLD = -20; // dB ceiling applied to each voice
+const DEFAULT_MASTER_THRESHOLD = -10; // dB ceiling applied to the summed mix
+
+/**
+ * Bypass state for an enabled flag, which must be a real boolean like setBypass() takes
+ */
+function bypassFor(enabled) {
+  if (typeof enabled !== 'boolean') {
+    throw new ParameterError('enabled', enabled, 'true or false');
+  }
+  return !enabled;
+}
+
+export class VoiceLimiterHub {
+  constructor(masterThreshold = DEFAULT_MASTER_THRESHOLD, { workletUrl = LIMITER_WORKLET_URL } = {}) {
+    this.audioCtx = null;
+    this.destinationNode = null;
+    this.mixBus = null;
+    this.workletUrl = workletUrl;
+    this.master = new VoiceVolumeNormalizer(masterThreshold, { workletUrl });
+    this.sources = new Map();
+  }
+
+  /**
+   * Initialize the mix bus and master limiter on an audio context
+   * The hub only counts as initialized once the master is wired, so a failed load can be retried
+   */
+  async initialize(audioContext, destinationNode = audioContext.destination) {
+    if (this.audioCtx) return;
+
+    await this.master.initialize(audioContext);
+
+    // Another call may have finished wiring while the worklet loaded
+    if (this.audioCtx) return;
+
+    const mixBus = new GainNode(audioContext);
+    this.master.enable(mixBus, destinationNode);
+
+    this.audioCtx = audioContext;
+    this.destinationNode = destinationNode;
+    this.mixBus = mixBus;
+  }
+
+  /**
+   * Attach a named source with its own limiter instance
+   */
+  async addSource(id, sourceNode, { threshold = DEFAULT_SOURCE_THRESHOLD, ...params } = {}) {
+    if (!this.audioCtx) {
+      throw new Error('VoiceLimiterHub must be initialized before adding sources.');
+    }
+
+    if (this.sources.has(id)) {
+      throw new Error(`Source "${id}" is already attached.`);
+    }
+
+    const normalizer = new VoiceVolumeNormalizer(threshold, { workletUrl: this.workletUrl });
+    normalizer.updateParameters(params);
+
+    // Reserve the id before awaiting so concurrent adds can't collide
+    const entry = { sourceNode, normalizer };
+    this.sources.set(id, entry);
+
+    try {
+      await normalizer.initialize(this.audioCtx);
+    } catch (error) {
+      // removeSource() destroys the normalizer, which cuts its load short
+      if (error.code === 'initialization-superseded') return null;
+
+      // The id may already belong to a source added again while this one was loading
+      if (this.sources.get(id) === entry) {
+        this.sources.delete(id);
+      }
+      throw error;
+    }
+
+    // Source may have been removed while the worklet was loading
+    if (this.sources.get(id) !== entry) {
+      normalizer.destroy();
+      return null;
+    }
+
+    normalizer.enable(sourceNode, this.mixBus);
+    return normalizer;
+  }
+
+  /**
+   * Detach a source and release its limiter without touching the rest of the graph
+   */
+  removeSource(id) {
+    const entry = this.sources.get(id);
+    if (!entry) return false;
+
+    this.sources.delete(id);
+
+    // destroy() reconnects the source to the bus as a bypass, so undo that too
+    entry.normalizer.destroy();
+    try {
+      entry.sourceNode.disconnect(this.mixBus);
+    } catch (e) {
+      // Ignore if already disconnected
+    }
+
+    return true;
+  }
+
+  /**
+   * Enable or bypass limiting for a single source (crossfaded, so it never clicks)
+   */
+  setSourceEnabled(id, enabled) {
+    const entry = this.sources.get(id);
+    if (!entry) return;
+
+    entry.normalizer.setBypass(bypassFor(enabled));
+  }
+
+  /**
+   * Update limiter parameters for a single source
+   */
+  updateSourceParameters(id, params) {
+    const entry = this.sources.get(id);
+    if (!entry) return;
+
+    entry.normalizer.updateParameters(params);
+  }
+
+  /**
+   * Update the master ceiling applied to the summed mix
+   */
+  updateMasterParameters(params) {
+    this.master.updateParameters(params);
+  }
+
+  /**
+   * Enable or bypass the master ceiling (crossfaded, so it never clicks)
+   */
+  setMasterEnabled(enabled) {
+    this.master.setBypass(bypassFor(enabled));
+  }
+
+  /**
+   * Look up the limiter attached to a source
+   */
+  getSource(id) {
+    const entry = this.sources.get(id);
+    return entry ? entry.normalizer : null;
+  }
+
+  /**
+   * Ids of all currently attached sources
+   */
+  getSourceIds() {
+    return Array.from(this.sources.keys());
+  }
+
+  /**
+   * Detach every source and tear down the mix bus
+   * The audio context itself is left running for the host app
+   */
+  destroy() {
+    for (const id of this.getSourceIds()) {
+      this.removeSource(id);
+    }
+
+    this.master.destroy();
+
+    if (this.mixBus) {
+      this.mixBus.disconnect();
+      this.mixBus = null;
+    }
+
+    this.audioCtx = null;
+    this.destinationNode = null;
+  }
+}
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installWebAudio, MockAudioContext, MockAudioNode } from './helpers/web-audio-shim.mjs';
+
+installWebAudio();
+const { ABComparator } = await import('../src/ab-comparator.js');
+const { ParameterError } = await import('../src/errors.js');
+
+describe('ABComparator', () => {
+  it('tears down a partly built comparison and can be initialized again', async () => {
+    const context = new MockAudioContext({ maxWorkletNodes: 1 });
+    const source = new MockAudioNode(context);
+    const comparator = new ABComparator();
+
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      await assert.rejects(comparator.initialize(context, source), { code: 'node-creation-failed' });
+    } finally {
+      console.error = consoleError;
+    }
+
+    assert.equal(comparator.audioCtx, null);
+    assert.deepEqual(comparator.paths, {});
+    assert.equal(source.connections.size, 0, 'the A path is gone from the source');
+
+    context.maxWorkletNodes = Infinity;
+    await comparator.initialize(context, source);
+    assert.deepEqual(Object.keys(comparator.paths), ['A', 'B', 'dry']);
+    assert.equal(source.connections.size, 3);
+  });
+
+  it('only reschedules the loudness match when it changes', async () => {
+    const context = new MockAudioContext();
+    const comparator = new ABComparator();
+    await comparator.initialize(context, new MockAudioNode(context));
+
+    // 30 s of steady blocks, B 6 dB louder than A and dry
+    const powers = { A: 0.001, B: 0.004, dry: 0.001 };
+    for (let block = 0; block < 300; block++) {
+      context.currentTime = block * 0.1;
+      for (const [option, power] of Object.entries(powers)) {
+        comparator.paths[option].normalizer.handleWorkletMessage({ type: 'loudness', power, duration: 0.1 });
+      }
+    }
+
+    const { gain } = comparator.paths.B.matchGain;
+    assert.ok(Math.abs(20 * Math.log10(gain.value) + 6.02) < 0.1, `B matched by ${20 * Math.log10(gain.value)} dB`);
+    for (const option of Object.keys(powers)) {
+      const events = comparator.paths[option].matchGain.gain.events.length;
+      assert.ok(events <= 2, `${option} has ${events} automation events`);
+    }
+  });
+
+  it('rejects options it has no path or settings for', async () => {
+    const context = new MockAudioContext();
+    const comparator = new ABComparator();
+    await comparator.initialize(context, new MockAudioNode(context));
+
+    assert.throws(() => comparator.select('C'), ParameterError);
+    assert.throws(() => comparator.select('X'), /blind trial/);
+    assert.throws(() => comparator.setSettings('dry', { threshold: -30 }), ParameterError);
+    assert.equal(comparator.selected, 'A');
+
+    comparator.startBlindTrial();
+    comparator.select('X');
+    assert.equal(comparator.selected, 'X');
+  });
+
+  it('glides the alignment delays when a lookahead changes', async () => {
+    const context = new MockAudioContext();
+    const comparator = new ABComparator();
+    await comparator.initialize(context, new MockAudioNode(context), context.destination, { B: { lookaheadTime: 5 } });
+
+    const delayTime = (option) => comparator.paths[option].delay.delayTime;
+    assert.equal(delayTime('B').events.at(-1).type, 'set', 'aligned at once before playback');
+    assert.equal(delayTime('B').value, 0.005);
+
+    comparator.setSettings('B', { lookaheadTime: 10 });
+    for (const option of ['A', 'B', 'dry']) {
+      assert.equal(delayTime(option).events.at(-1).type, 'target');
+      assert.equal(delayTime(option).value, 0);
+    }
+  });
+});
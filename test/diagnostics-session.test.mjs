@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiagnosticsSession, SESSION_FORMAT } from '../src/diagnostics-session.js';
+
+/**
+ * Short session with a settings change halfway through
+ */
+function recordSession() {
+  const session = new DiagnosticsSession({
+    createdAt: '2024-01-01T00:00:00.000Z',
+    sampleRate: 48000,
+    channelCount: 2,
+    startAudioTime: 10,
+    parameters: { threshold: -20, detectionMode: 'rms' },
+    detectionSource: 'internal',
+  });
+
+  for (let i = 0; i < 4; i++) {
+    const audioTime = 10 + i * 0.016;
+    if (i === 2) {
+      session.addEvent(audioTime, { threshold: -24 });
+    }
+    session.addFrame(audioTime, {
+      chartTime: 3 + i * 0.016,
+      inputDb: -12.3456,
+      outputDb: i < 2 ? -20 : -24,
+      threshold: i < 2 ? -20 : -24,
+      reductionDb: 4,
+      reductionPercent: 36.9,
+      detectorDb: null,
+      momentaryLufs: i === 0 ? -Infinity : -23.1,
+      shortTermLufs: null,
+      aboveThreshold: true,
+    });
+  }
+
+  return session;
+}
+
+describe('DiagnosticsSession', () => {
+  it('times frames and events on the audio clock', () => {
+    const session = recordSession();
+
+    assert.equal(session.frames[0].time, 0);
+    assert.equal(session.frames[3].time, 0.048);
+    assert.equal(session.frames[0].inputDb, -12.35);
+    assert.equal(session.frames[0].momentaryLufs, null, 'silence is stored as empty, not -Infinity');
+    assert.deepEqual(session.events, [{ time: 0.032, audioTime: 10.032, changes: { threshold: -24 } }]);
+  });
+
+  it('round-trips through JSON', () => {
+    const session = recordSession();
+    const parsed = DiagnosticsSession.parse(session.serializeJSON());
+
+    assert.equal(JSON.parse(session.serializeJSON()).format, SESSION_FORMAT);
+    assert.deepEqual(parsed.toJSON(), session.toJSON());
+  });
+
+  it('round-trips through CSV with a header block', () => {
+    const session = recordSession();
+    const csv = session.serializeCSV();
+
+    assert.match(csv, /^# format: volume-clamp-session$/m);
+    assert.match(csv, /^# sampleRate: 48000$/m);
+    assert.match(csv, /^# event: \{"time":0.032,"audioTime":10.032,"changes":\{"threshold":-24\}\}$/m);
+    assert.deepEqual(DiagnosticsSession.parse(csv).toJSON(), session.toJSON());
+  });
+
+  it('loads older header-less CSV exports', () => {
+    const csv = [
+      'timestamp,inputDb,outputDb,threshold,aboveThreshold',
+      '0.00,-10.00,-20.00,-20.00,true',
+      '16.50,-30.00,-30.00,-20.00,false',
+    ].join('\n');
+    const session = DiagnosticsSession.parse(csv);
+
+    assert.equal(session.frames.length, 2);
+    assert.equal(session.frames[1].time, 0.0165);
+    assert.equal(session.frames[1].chartTime, 0.0165);
+    assert.equal(session.frames[1].aboveThreshold, false);
+    assert.equal(session.sampleRate, null);
+  });
+
+  it('rejects files that are not sessions', () => {
+    assert.throws(() => DiagnosticsSession.parse('{"presets": {}}'), /Not a diagnostics session/);
+    assert.throws(() => DiagnosticsSession.parse('a,b\n1,2'), /Not a diagnostics session/);
+  });
+});
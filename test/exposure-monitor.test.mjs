@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ExposureMonitor } from '../src/exposure-monitor.js';
+import { ParameterError } from '../src/errors.js';
+
+/**
+ * K-weighted power that reads as the given SPL with a calibration offset of 100 dB
+ */
+function powerForSpl(spl) {
+  return Math.pow(10, (spl - 100 + 0.691) / 10);
+}
+
+/**
+ * Feed the monitor seconds of a steady level in 100ms blocks
+ */
+function listen(monitor, spl, seconds) {
+  for (let i = 0; i < seconds * 10; i++) {
+    monitor.addBlock(powerForSpl(spl), 0.1);
+  }
+}
+
+describe('ExposureMonitor', () => {
+  it('accumulates dose with the 3 dB exchange rate', () => {
+    const monitor = new ExposureMonitor({ calibrationOffset: 100 });
+
+    // NIOSH allows 85 dB for 8 hours, so 88 dB for 4 hours: 60s is 60 / 14400 of the dose
+    listen(monitor, 88, 60);
+    assert.ok(Math.abs(monitor.getState().dosePercent - (100 * 60) / 14400) < 1e-9);
+    assert.ok(Math.abs(monitor.getState().currentSpl - 88) < 1e-9);
+    assert.ok(Math.abs(monitor.getAverageLevel() - 88) < 1e-9);
+
+    // WHO allows 80 dB for 40 hours, so 88 dB for 40 / 2^(8/3) hours
+    monitor.setStandard('who');
+    const whoAllowed = (40 * 3600) / Math.pow(2, 8 / 3);
+    assert.ok(Math.abs(monitor.getState().dosePercent - (100 * 60) / whoAllowed) < 1e-9);
+  });
+
+  it('rejects unknown standards', () => {
+    const monitor = new ExposureMonitor();
+
+    assert.throws(() => monitor.setStandard('osha'), ParameterError);
+    assert.throws(() => monitor.setStandard('toString'), ParameterError);
+    assert.throws(() => new ExposureMonitor({ standard: 'osha' }), ParameterError);
+    assert.equal(monitor.standardName, 'niosh');
+  });
+
+  it('ignores silence in the dose but not in the average level', () => {
+    const monitor = new ExposureMonitor({ calibrationOffset: 100 });
+    listen(monitor, 85, 10);
+    const dose = monitor.dose;
+    for (let i = 0; i < 100; i++) monitor.addBlock(0, 0.1);
+
+    assert.equal(monitor.dose, dose);
+    assert.equal(monitor.getState().currentSpl, null);
+    assert.ok(Math.abs(monitor.getAverageLevel() - (85 - 10 * Math.log10(2))) < 1e-9);
+  });
+
+  it('raises each dose alert once', () => {
+    const monitor = new ExposureMonitor({ calibrationOffset: 100, alertLevels: [1, 2] });
+    const alerts = [];
+    monitor.addEventListener('dosealert', (event) => alerts.push(event.detail.level));
+
+    // 100 dB is allowed for 8h / 32 = 900s, so 1% takes 9s
+    listen(monitor, 100, 20);
+    assert.deepEqual(alerts, [1, 2]);
+    listen(monitor, 100, 10);
+    assert.deepEqual(alerts, [1, 2]);
+  });
+
+  it('logs overshoots of the ceiling once per excursion', () => {
+    const monitor = new ExposureMonitor({ overshootThreshold: 6 });
+    const events = [];
+    monitor.addEventListener('overshoot', (event) => events.push(event.detail));
+
+    const reports = [
+      { time: 1.00, detectorDb: -15, threshold: -20 },
+      { time: 1.02, detectorDb: -10, threshold: -20 },
+      { time: 1.04, detectorDb: -6, threshold: -20 },
+      { time: 1.06, detectorDb: -21, threshold: -20 },
+      { time: 2.00, detectorDb: -12, threshold: -20 },
+    ];
+    reports.forEach((report) => monitor.addTelemetry(report));
+
+    assert.equal(events.length, 2);
+    assert.equal(monitor.overshoots.length, 2);
+    const [first, second] = monitor.overshoots;
+    assert.equal(first.time, 1.02);
+    assert.ok(Math.abs(first.duration - 0.04) < 1e-9);
+    assert.equal(first.peakOvershootDb, 14);
+    assert.equal(second.time, 2);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Main-thread Web Audio stand-ins, enough to drive VoiceVolumeNormalizer (and the graphs built from it) in Node
+ * Call installWebAudio() before importing modules that extend AudioWorkletNode
+ */
+const LIMITER_PARAMS = [
+  'threshold', 'knee', 'ratio', 'floor', 'maxBoost', 'gateThreshold',
+  'attackTime', 'releaseTime', 'rmsWindow', 'lookaheadTime', 'bypass', 'mix',
+];
+
+/**
+ * AudioParam that jumps straight to every scheduled value
+ * The automation events are kept (as { type, value, time }) so tests can check the timeline
+ */
+class MockAudioParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  schedule(type, value, time) {
+    this.value = value;
+    this.events.push({ type, value, time });
+    return this;
+  }
+
+  setValueAtTime(value, time) {
+    return this.schedule('set', value, time);
+  }
+
+  linearRampToValueAtTime(value, time) {
+    return this.schedule('linear', value, time);
+  }
+
+  setTargetAtTime(value, time) {
+    return this.schedule('target', value, time);
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter((event) => event.time < time);
+    return this;
+  }
+
+  cancelAndHoldAtTime() {
+    return this;
+  }
+}
+
+/**
+ * AudioNode that records its outgoing connections
+ */
+export class MockAudioNode extends EventTarget {
+  constructor(context) {
+    super();
+    this.context = context;
+    this.connections = new Set();
+  }
+
+  connect(node) {
+    this.connections.add(node);
+    return node;
+  }
+
+  disconnect(node) {
+    if (node === undefined) {
+      this.connections.clear();
+    } else if (!this.connections.delete(node)) {
+      throw new Error('InvalidAccessError: the node is not connected');
+    }
+  }
+}
+
+class MockAudioWorkletNode extends MockAudioNode {
+  constructor(context, name, options = {}) {
+    if (context.workletNodeCount >= context.maxWorkletNodes) {
+      throw new Error('NotSupportedError: out of audio resources');
+    }
+    context.workletNodeCount++;
+
+    super(context);
+    this.processorName = name;
+    this.options = options;
+    this.parameters = new Map(LIMITER_PARAMS.map((param) => [param, new MockAudioParam()]));
+    this.port = {
+      messages: [],
+      onmessage: null,
+      postMessage(message) {
+        this.messages.push(message);
+      },
+    };
+  }
+}
+
+class MockGainNode extends MockAudioNode {
+  constructor(context, { gain = 1 } = {}) {
+    super(context);
+    this.gain = new MockAudioParam(gain);
+  }
+}
+
+class MockDelayNode extends MockAudioNode {
+  constructor(context, { delayTime = 0 } = {}) {
+    super(context);
+    this.delayTime = new MockAudioParam(delayTime);
+  }
+}
+
+/**
+ * AudioContext whose worklet loads succeed (or fail with failModuleLoad) and whose state can be driven
+ * Creating more than maxWorkletNodes worklet nodes fails, as when the browser runs out of resources
+ */
+export class MockAudioContext extends EventTarget {
+  constructor({ sampleRate = 48000, failModuleLoad = false, maxWorkletNodes = Infinity } = {}) {
+    super();
+    this.sampleRate = sampleRate;
+    this.currentTime = 0;
+    this.state = 'running';
+    this.failModuleLoad = failModuleLoad;
+    this.maxWorkletNodes = maxWorkletNodes;
+    this.workletNodeCount = 0;
+    this.destination = new MockAudioNode(this);
+    this.audioWorklet = {
+      addModule: async () => {
+        if (this.failModuleLoad) throw new Error('Module load failed');
+      },
+    };
+  }
+
+  /**
+   * Change state as the browser would, firing 'statechange'
+   */
+  setState(state) {
+    this.state = state;
+    this.dispatchEvent(new Event('statechange'));
+  }
+
+  async close() {
+    this.setState('closed');
+  }
+}
+
+/**
+ * Make AudioWorkletNode, GainNode and DelayNode available globally
+ */
+export function installWebAudio() {
+  globalThis.AudioWorkletNode = MockAudioWorkletNode;
+  globalThis.GainNode = MockGainNode;
+  globalThis.DelayNode = MockDelayNode;
+}
@@ -0,0 +1,170 @@
+/**
+ * Loads limiter-worklet.js in Node by providing the AudioWorkletGlobalScope globals
+ * (sampleRate, currentTime, AudioWorkletProcessor, registerProcessor) inside a vm context
+ */
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const WORKLET_URL = new URL('../../src/limiter-worklet.js', import.meta.url);
+const WORKLET_SOURCE = readFileSync(WORKLET_URL, 'utf8');
+
+export const RENDER_QUANTUM = 128;
+
+/**
+ * Stand-in for the processor's MessagePort
+ * Messages posted by the worklet are collected, send() delivers one to the worklet
+ */
+class MockPort {
+  constructor() {
+    this.messages = [];
+    this.onmessage = null;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  send(data) {
+    if (this.onmessage) this.onmessage({ data });
+  }
+}
+
+/**
+ * Evaluate the worklet at a sample rate and return the registered processor class
+ */
+export function loadWorklet(sampleRate = 48000) {
+  const registered = {};
+
+  class AudioWorkletProcessor {
+    constructor() {
+      this.port = new MockPort();
+    }
+  }
+
+  const scope = vm.createContext({
+    sampleRate,
+    currentTime: 0,
+    currentFrame: 0,
+    console,
+    AudioWorkletProcessor,
+    registerProcessor: (name, processorClass) => {
+      registered[name] = processorClass;
+    },
+  });
+
+  vm.runInContext(WORKLET_SOURCE, scope, { filename: WORKLET_URL.pathname });
+
+  return { scope, LimiterProcessor: registered['limiter-processor'] };
+}
+
+/**
+ * Create a limiter ready to render
+ * params are AudioParam values in worklet units (seconds, dB), options go over the port
+ * and processorOptions are passed to the constructor, as AudioWorkletNode does
+ */
+export function createLimiter({ sampleRate = 48000, params = {}, options = null, processorOptions = {} } = {}) {
+  const { scope, LimiterProcessor } = loadWorklet(sampleRate);
+  const processor = new LimiterProcessor({ processorOptions });
+
+  const paramValues = {};
+  for (const descriptor of LimiterProcessor.parameterDescriptors) {
+    paramValues[descriptor.name] = descriptor.defaultValue;
+  }
+  Object.assign(paramValues, params);
+
+  if (options) {
+    processor.port.send({ type: 'updateOptions', ...options });
+  }
+
+  return { scope, processor, params: paramValues, sampleRate };
+}
+
+/**
+ * Run signals (one Float32Array per channel) through the limiter block by block
+ * onBlock(blockIndex, limiter) may change limiter.params or send options between blocks
+ * Params may also be set to a Float32Array of per-sample values for a-rate automation
+ * sidechain (one Float32Array per channel) feeds the second input, which is otherwise unconnected
+ */
+export function render(limiter, channels, { onBlock = null, sidechain = null } = {}) {
+  const length = channels[0].length;
+  const outputs = channels.map(() => new Float32Array(length));
+
+  for (let start = 0, block = 0; start < length; start += RENDER_QUANTUM, block++) {
+    if (onBlock) onBlock(block, limiter);
+
+    const end = Math.min(start + RENDER_QUANTUM, length);
+    const toChunks = (source) => source.map((data) => {
+      const chunk = new Float32Array(RENDER_QUANTUM);
+      chunk.set(data.subarray(start, end));
+      return chunk;
+    });
+    const input = toChunks(channels);
+    const inputs = sidechain ? [input, toChunks(sidechain)] : [input, []];
+    const output = channels.map(() => new Float32Array(RENDER_QUANTUM));
+
+    const parameters = {};
+    for (const [name, value] of Object.entries(limiter.params)) {
+      parameters[name] = value instanceof Float32Array ? value : new Float32Array([value]);
+    }
+
+    limiter.processor.process(inputs, [output], parameters);
+
+    output.forEach((chunk, ch) => outputs[ch].set(chunk.subarray(0, end - start), start));
+    limiter.scope.currentFrame += RENDER_QUANTUM;
+    limiter.scope.currentTime = limiter.scope.currentFrame / limiter.sampleRate;
+  }
+
+  return outputs;
+}
+
+/**
+ * Signal generators
+ */
+export function sine({ frequency = 440, amplitude = 1, duration = 1, sampleRate = 48000, phase = 0 } = {}) {
+  const data = new Float32Array(Math.round(duration * sampleRate));
+  for (let i = 0; i < data.length; i++) {
+    data[i] = amplitude * Math.sin(phase + (2 * Math.PI * frequency * i) / sampleRate);
+  }
+  return data;
+}
+
+export function constant(value, length) {
+  return new Float32Array(length).fill(value);
+}
+
+export function concat(...parts) {
+  const data = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+/**
+ * Measurements
+ */
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+export function gainToDb(gain) {
+  return 20 * Math.log10(gain);
+}
+
+export function rms(data, start = 0, end = data.length) {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += data[i] * data[i];
+  }
+  return Math.sqrt(sum / (end - start));
+}
+
+export function peak(data, start = 0, end = data.length) {
+  let max = 0;
+  for (let i = start; i < end; i++) {
+    max = Math.max(max, Math.abs(data[i]));
+  }
+  return max;
+}
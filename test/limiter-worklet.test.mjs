@@ -0,0 +1,619 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createLimiter,
+  render,
+  sine,
+  constant,
+  concat,
+  dbToGain,
+  gainToDb,
+  rms,
+  peak,
+} from './helpers/worklet-shim.mjs';
+
+const SAMPLE_RATE = 48000;
+const SAMPLE_RATES = [16000, 44100, 48000, 96000];
+
+/**
+ * Noisy signal with loud transient bursts, for brickwall checks
+ */
+function burstySignal(duration, seed = 1, sampleRate = SAMPLE_RATE) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const data = new Float32Array(Math.round(duration * sampleRate));
+  for (let i = 0; i < data.length; i++) {
+    data[i] = 0.05 * Math.sin(i * 0.05);
+    if (i % Math.round(sampleRate / 10) < 40) {
+      data[i] += random() * 2 - 1;
+    }
+  }
+  return data;
+}
+
+/**
+ * Amplitude of one frequency in a stretch of signal (single-bin DFT)
+ */
+function toneAmplitude(data, frequency, start = 0, end = data.length) {
+  let re = 0;
+  let im = 0;
+  for (let i = start; i < end; i++) {
+    const phase = (2 * Math.PI * frequency * i) / SAMPLE_RATE;
+    re += data[i] * Math.cos(phase);
+    im += data[i] * Math.sin(phase);
+  }
+  return (2 * Math.hypot(re, im)) / (end - start);
+}
+
+describe('LimiterProcessor', () => {
+  it('passes signals below the threshold through at unity gain, delayed by the lookahead', () => {
+    const limiter = createLimiter({ params: { threshold: -20 } });
+    const input = sine({ amplitude: 0.05, duration: 0.5 });
+    const [output] = render(limiter, [input]);
+
+    const delay = Math.round(0.01 * SAMPLE_RATE);
+    for (let i = 0; i < input.length - delay; i++) {
+      assert.ok(Math.abs(output[i + delay] - input[i]) < 1e-6, `sample ${i} changed`);
+    }
+  });
+
+  it('outputs silence for silent input', () => {
+    const limiter = createLimiter();
+    const [output] = render(limiter, [constant(0, SAMPLE_RATE / 2)]);
+
+    assert.ok(output.every((sample) => sample === 0));
+  });
+
+  it('clamps a loud sine to the threshold in steady state', () => {
+    const limiter = createLimiter({ params: { threshold: -20 } });
+    const input = sine({ frequency: 1000, amplitude: 0.9, duration: 1 });
+    const [output] = render(limiter, [input]);
+
+    const outputDb = gainToDb(rms(output, SAMPLE_RATE / 2));
+    assert.ok(Math.abs(outputDb - -20) < 1, `settled at ${outputDb.toFixed(2)} dB`);
+  });
+
+  it('applies a finite ratio above the threshold', () => {
+    const limiter = createLimiter({ params: { threshold: -20, ratio: 4 } });
+    const [output] = render(limiter, [constant(0.5, SAMPLE_RATE)]);
+
+    // -6 dB in, 14 dB over the threshold, so 14 / 4 dB over it out
+    const expectedDb = -20 + (gainToDb(0.5) - -20) / 4;
+    assert.ok(Math.abs(gainToDb(output[output.length - 1]) - expectedDb) < 0.1);
+  });
+
+  it('starts reducing gain below the threshold with a soft knee', () => {
+    const level = dbToGain(-20);
+    const hard = createLimiter({ params: { threshold: -20 } });
+    const soft = createLimiter({ params: { threshold: -20, knee: 10 } });
+
+    const [hardOutput] = render(hard, [constant(level, SAMPLE_RATE)]);
+    const [softOutput] = render(soft, [constant(level, SAMPLE_RATE)]);
+
+    // At the threshold the quadratic knee reduces by (knee / 2)^2 / (2 * knee) dB
+    assert.ok(Math.abs(gainToDb(hardOutput[hardOutput.length - 1]) - -20) < 0.1);
+    assert.ok(Math.abs(gainToDb(softOutput[softOutput.length - 1]) - -21.25) < 0.1);
+  });
+
+  it('leaves quiet audio alone unless upward normalization is enabled', () => {
+    const level = dbToGain(-40);
+    const limiter = createLimiter({ params: { floor: -30 } });
+    const [output] = render(limiter, [constant(level, SAMPLE_RATE)]);
+
+    assert.ok(Math.abs(gainToDb(output[output.length - 1]) - -40) < 0.01);
+  });
+
+  it('lifts quiet audio toward the floor, limited by the max boost', () => {
+    const params = { floor: -30, maxBoost: 20, gateThreshold: -60 };
+
+    const [lifted] = render(createLimiter({ params }), [constant(dbToGain(-40), SAMPLE_RATE)]);
+    assert.ok(Math.abs(gainToDb(lifted[lifted.length - 1]) - -30) < 0.1);
+
+    const [capped] = render(createLimiter({ params: { ...params, maxBoost: 6 } }), [constant(dbToGain(-50), SAMPLE_RATE)]);
+    assert.ok(Math.abs(gainToDb(capped[capped.length - 1]) - -44) < 0.1);
+  });
+
+  it('does not boost audio below the noise gate', () => {
+    const limiter = createLimiter({ params: { floor: -30, maxBoost: 20, gateThreshold: -60 } });
+    const [output] = render(limiter, [constant(dbToGain(-70), SAMPLE_RATE)]);
+
+    assert.ok(Math.abs(gainToDb(output[output.length - 1]) - -70) < 0.01);
+  });
+
+  it('keeps the peak-mode ceiling while boosting', () => {
+    const limiter = createLimiter({
+      params: { threshold: -12, floor: -20, maxBoost: 20 },
+      options: { detectionMode: 'peak' },
+    });
+    const [output] = render(limiter, [burstySignal(1, 3)]);
+
+    assert.ok(peak(output) <= dbToGain(-12) + 1e-6);
+  });
+
+  it('clamps bright voices harder than bassy ones in loudness mode', () => {
+    const clamp = (frequency) => {
+      const limiter = createLimiter({ params: { threshold: -20 }, options: { detectionMode: 'loudness' } });
+      const [output] = render(limiter, [sine({ frequency, amplitude: 0.5, duration: 1 })]);
+      return gainToDb(rms(output, SAMPLE_RATE / 2));
+    };
+
+    // Same RMS in, but K-weighting hears the 3kHz tone as several dB louder
+    const bassDb = clamp(100);
+    const brightDb = clamp(3000);
+    assert.ok(bassDb - brightDb > 2.5, `100Hz at ${bassDb.toFixed(2)} dB, 3kHz at ${brightDb.toFixed(2)} dB`);
+  });
+
+  it('reports K-weighted output loudness in 100ms blocks', () => {
+    const limiter = createLimiter({ params: { threshold: 0 } });
+    render(limiter, [sine({ frequency: 997, amplitude: 0.5, duration: 1 })]);
+
+    const blocks = limiter.processor.port.messages.filter((message) => message.type === 'loudness');
+    assert.ok(blocks.length >= 9 && blocks.length <= 10, `${blocks.length} blocks`);
+
+    // A 997Hz sine reads 3.01 dB below its peak level in LUFS
+    const last = blocks[blocks.length - 1];
+    const lufs = -0.691 + 10 * Math.log10(last.power);
+    assert.ok(Math.abs(lufs - (gainToDb(0.5) - 3.01)) < 0.2, `${lufs.toFixed(2)} LUFS`);
+  });
+
+  it('keeps reporting loudness with telemetry off, until loudness reports are turned off', () => {
+    const limiter = createLimiter({ options: { telemetryInterval: 0 } });
+    const input = sine({ frequency: 997, amplitude: 0.5, duration: 0.5 });
+    render(limiter, [input]);
+
+    const types = () => limiter.processor.port.messages.map((message) => message.type);
+    assert.ok(!types().includes('telemetry'));
+    assert.ok(types().filter((type) => type === 'loudness').length >= 4);
+
+    limiter.processor.port.messages.length = 0;
+    limiter.processor.port.send({ type: 'updateOptions', loudnessReports: false });
+    render(limiter, [input]);
+    assert.deepEqual(types(), []);
+  });
+
+  it('reduces gain with the attack time constant', () => {
+    const attackTime = 0.015;
+    const limiter = createLimiter({ params: { threshold: -20, attackTime, rmsWindow: 0.0005 } });
+
+    const step = SAMPLE_RATE / 10;
+    const level = 0.5;
+    const [output] = render(limiter, [concat(constant(0, step), constant(level, SAMPLE_RATE / 2))]);
+
+    // Gain computed at time n is applied to output n (the delayed input)
+    const targetGain = dbToGain(-20 - gainToDb(level));
+    const gainAfterAttack = output[step + Math.round(attackTime * SAMPLE_RATE)] / level;
+    const remaining = (gainAfterAttack - targetGain) / (1 - targetGain);
+
+    assert.ok(Math.abs(remaining - Math.exp(-1)) < 0.05, `remaining fraction ${remaining.toFixed(3)}`);
+  });
+
+  it('restores gain with the release time constant', () => {
+    const releaseTime = 0.08;
+    const limiter = createLimiter({ params: { threshold: -20, releaseTime, rmsWindow: 0.0005 } });
+
+    const step = SAMPLE_RATE / 2;
+    const loud = 0.5;
+    const quiet = 0.01;
+    const [output] = render(limiter, [concat(constant(loud, step), constant(quiet, SAMPLE_RATE / 2))]);
+
+    const settledGain = dbToGain(-20 - gainToDb(loud));
+    const gainAfterRelease = output[step + Math.round(releaseTime * SAMPLE_RATE)] / quiet;
+    const remaining = (1 - gainAfterRelease) / (1 - settledGain);
+
+    assert.ok(Math.abs(remaining - Math.exp(-1)) < 0.05, `remaining fraction ${remaining.toFixed(3)}`);
+  });
+
+  it('delays the output by exactly the lookahead time', () => {
+    for (const lookaheadTime of [0, 0.005, 0.05]) {
+      const limiter = createLimiter({ params: { lookaheadTime } });
+      const input = constant(0, SAMPLE_RATE / 4);
+      input[1000] = 0.01;
+
+      const [output] = render(limiter, [input]);
+      const delay = Math.round(lookaheadTime * SAMPLE_RATE);
+
+      assert.equal(output.indexOf(output.find((sample) => sample !== 0)), 1000 + delay);
+    }
+  });
+
+  it('follows threshold changes made mid-stream', () => {
+    const limiter = createLimiter({ params: { threshold: -20 } });
+    const input = sine({ frequency: 1000, amplitude: 0.9, duration: 2 });
+
+    const [output] = render(limiter, [input], {
+      onBlock: (block, { params }) => {
+        if (block * 128 >= SAMPLE_RATE) params.threshold = -30;
+      },
+    });
+
+    assert.ok(Math.abs(gainToDb(rms(output, SAMPLE_RATE / 2, SAMPLE_RATE)) - -20) < 1);
+    assert.ok(Math.abs(gainToDb(rms(output, SAMPLE_RATE * 1.5)) - -30) < 1);
+  });
+
+  it('reads a-rate threshold automation per sample', () => {
+    const limiter = createLimiter({ params: { threshold: -20, lookaheadTime: 0 } });
+
+    // Automate a drop to -40 dB halfway through the last block
+    const input = sine({ frequency: 1000, amplitude: 0.9, duration: 1 });
+    const automation = new Float32Array(128).fill(-20);
+    automation.fill(-40, 64);
+
+    const blocks = Math.ceil(input.length / 128);
+    const [output] = render(limiter, [input], {
+      onBlock: (block, { params }) => {
+        if (block === blocks - 1) params.threshold = automation;
+      },
+    });
+
+    const lastBlock = (blocks - 1) * 128;
+    assert.ok(peak(output, lastBlock + 100, lastBlock + 128) < peak(output, lastBlock, lastBlock + 64));
+  });
+
+  it('crossfades into bypass without clicks or a change in latency', () => {
+    const limiter = createLimiter({ params: { threshold: -20 } });
+    const input = sine({ frequency: 1000, amplitude: 0.9, duration: 1 });
+
+    // Ramp bypass from 0 to 1 over 20ms, starting near a sine peak half a second in
+    const fadeStart = SAMPLE_RATE / 2 + 12;
+    const fadeLength = Math.round(0.02 * SAMPLE_RATE);
+    const [output] = render(limiter, [input], {
+      onBlock: (block, { params }) => {
+        params.bypass = new Float32Array(128).map((_, i) => {
+          const progress = (block * 128 + i - fadeStart) / fadeLength;
+          return Math.min(1, Math.max(0, progress));
+        });
+      },
+    });
+
+    // Sample-to-sample steps never exceed the sine's own slope by much
+    const maxSlope = (0.9 * 2 * Math.PI * 1000) / SAMPLE_RATE;
+    for (let i = 1; i < output.length; i++) {
+      assert.ok(Math.abs(output[i] - output[i - 1]) < maxSlope * 1.2, `click at sample ${i}`);
+    }
+
+    // Once bypassed, the output is the input, still delayed by the lookahead
+    const delay = Math.round(0.01 * SAMPLE_RATE);
+    for (let i = fadeStart + fadeLength; i < input.length - delay; i++) {
+      assert.ok(Math.abs(output[i + delay] - input[i]) < 1e-6, `sample ${i} changed`);
+    }
+  });
+
+  it('blends wet and dry signals for parallel limiting', () => {
+    const limiter = createLimiter({ params: { threshold: -20, mix: 0.5 } });
+    const [output] = render(limiter, [constant(0.5, SAMPLE_RATE)]);
+
+    // Half the limited signal (0.1) plus half the dry one (0.5)
+    assert.ok(Math.abs(output[output.length - 1] - 0.3) < 1e-3);
+  });
+
+  it('crossfades lookahead changes without clicks', () => {
+    const limiter = createLimiter({ params: { lookaheadTime: 0.01 } });
+    const input = sine({ frequency: 200, amplitude: 0.05, duration: 1 });
+
+    const [output] = render(limiter, [input], {
+      onBlock: (block, { params }) => {
+        if (block === 200) params.lookaheadTime = 0.002;
+      },
+    });
+
+    let maxStep = 0;
+    for (let i = 1; i < output.length; i++) {
+      maxStep = Math.max(maxStep, Math.abs(output[i] - output[i - 1]));
+    }
+
+    // A 200 Hz sine at this level moves at most ~0.0013 per sample, a jump between taps would be ~0.1
+    assert.ok(maxStep < 0.005, `largest step ${maxStep}`);
+  });
+
+  for (const detectionMode of ['peak', 'true-peak']) {
+    it(`never lets a sample exceed the threshold in ${detectionMode} mode`, () => {
+      for (const lookaheadTime of [0, 0.001, 0.01]) {
+        const limiter = createLimiter({
+          params: { threshold: -12, lookaheadTime },
+          options: { detectionMode },
+        });
+        const [left, right] = render(limiter, [burstySignal(1, 7), burstySignal(1, 11)]);
+
+        const ceiling = dbToGain(-12) + 1e-6;
+        assert.ok(peak(left) <= ceiling, `left peak ${gainToDb(peak(left))} dB at ${lookaheadTime}s`);
+        assert.ok(peak(right) <= ceiling, `right peak ${gainToDb(peak(right))} dB at ${lookaheadTime}s`);
+      }
+    });
+  }
+
+  for (const detectionMode of ['peak', 'true-peak']) {
+    it(`keeps the ${detectionMode} ceiling while the lookahead changes mid-stream`, () => {
+      for (const [from, to] of [[0.001, 0.02], [0, 0.05], [0.02, 0.001]]) {
+        const limiter = createLimiter({
+          params: { threshold: -12, lookaheadTime: from },
+          options: { detectionMode },
+        });
+        const [output] = render(limiter, [burstySignal(2, 7)], {
+          onBlock: (block, { params }) => {
+            if (block === 300) params.lookaheadTime = to;
+          },
+        });
+
+        const ceiling = dbToGain(-12) + 1e-6;
+        assert.ok(peak(output) <= ceiling, `peak ${gainToDb(peak(output))} dB going from ${from}s to ${to}s`);
+      }
+    });
+  }
+
+  it('applies one gain to every channel in linked mode', () => {
+    const limiter = createLimiter({ params: { threshold: -20 }, options: { channelMode: 'linked-max' } });
+    const loud = sine({ amplitude: 0.9, duration: 1 });
+    const quiet = sine({ amplitude: 0.1, duration: 1 });
+    const [left, right] = render(limiter, [loud, quiet]);
+
+    const start = SAMPLE_RATE / 2;
+    const leftGain = rms(left, start) / rms(loud, start);
+    const rightGain = rms(right, start) / rms(quiet, start);
+    assert.ok(Math.abs(leftGain - rightGain) < 1e-3);
+    assert.ok(leftGain < 0.5);
+  });
+
+  it('limits each channel on its own in independent mode', () => {
+    const limiter = createLimiter({ params: { threshold: -20 }, options: { channelMode: 'independent' } });
+    const loud = sine({ amplitude: 0.9, duration: 1 });
+    const quiet = sine({ amplitude: 0.1, duration: 1 });
+    const [left, right] = render(limiter, [loud, quiet]);
+
+    const start = SAMPLE_RATE / 2;
+    assert.ok(Math.abs(gainToDb(rms(left, start)) - -20) < 1);
+    assert.ok(Math.abs(rms(right, start) / rms(quiet, start) - 1) < 1e-3);
+  });
+
+  it('clamps multichannel (5.1) input', () => {
+    const limiter = createLimiter({ params: { threshold: -20 } });
+    const channels = [0.9, 0.05, 0.05, 0.05, 0.05, 0.05].map((amplitude) => sine({ amplitude, duration: 1 }));
+    const outputs = render(limiter, channels);
+
+    assert.equal(outputs.length, 6);
+    assert.ok(Math.abs(gainToDb(rms(outputs[0], SAMPLE_RATE / 2)) - -20) < 1);
+    assert.ok(outputs.every((data) => data.every(Number.isFinite)));
+  });
+
+  it('ducks the input while an external sidechain key is over the threshold', () => {
+    const limiter = createLimiter({ params: { threshold: -30 }, options: { detectionSource: 'external' } });
+    const music = constant(0.1, SAMPLE_RATE);
+    const voice = concat(constant(0, SAMPLE_RATE / 2), sine({ frequency: 300, amplitude: 0.5, duration: 0.5 }));
+    const [output] = render(limiter, [music], { sidechain: [voice] });
+
+    // Music is louder than the threshold but passes untouched while the key is silent
+    assert.ok(Math.abs(output[SAMPLE_RATE / 4] - 0.1) < 1e-6);
+
+    // Ducked by the key's overshoot (about 21 dB) once the voice starts
+    const duckedDb = gainToDb(output[output.length - 1] / 0.1);
+    const keyOvershootDb = gainToDb(0.5 / Math.SQRT2) - -30;
+    assert.ok(Math.abs(duckedDb + keyOvershootDb) < 1, `ducked by ${(-duckedDb).toFixed(2)} dB`);
+  });
+
+  it('ignores the sidechain with internal detection and passes audio when no key is connected', () => {
+    const loud = constant(0.5, SAMPLE_RATE / 2);
+    const internal = createLimiter({ params: { threshold: -20 } });
+    const [internalOutput] = render(internal, [loud], { sidechain: [constant(0, SAMPLE_RATE / 2)] });
+    assert.ok(Math.abs(gainToDb(internalOutput[internalOutput.length - 1]) - -20) < 0.5);
+
+    const unkeyed = createLimiter({ params: { threshold: -20 }, options: { detectionSource: 'external' } });
+    const [unkeyedOutput] = render(unkeyed, [loud]);
+    assert.ok(Math.abs(unkeyedOutput[unkeyedOutput.length - 1] - 0.5) < 1e-6);
+  });
+
+  it('posts gain-reduction telemetry at the configured interval', () => {
+    const limiter = createLimiter({ params: { threshold: -20 }, options: { telemetryInterval: 0.05 } });
+    render(limiter, [sine({ frequency: 1000, amplitude: 0.9, duration: 1 })]);
+
+    const reports = limiter.processor.port.messages.filter((message) => message.type === 'telemetry');
+    assert.ok(reports.length >= 19 && reports.length <= 20, `${reports.length} reports`);
+
+    const last = reports[reports.length - 1];
+    assert.ok(Math.abs(last.detectorDb - gainToDb(0.9 / Math.SQRT2)) < 1);
+    assert.ok(Math.abs(last.gainReductionDb - (last.detectorDb - -20)) < 1);
+    assert.equal(last.latencySamples, Math.round(0.01 * SAMPLE_RATE));
+  });
+
+  it('takes its initial options from processorOptions', () => {
+    const limiter = createLimiter({
+      params: { threshold: -20 },
+      processorOptions: { detectionMode: 'peak', telemetryInterval: 0, loudnessReports: false },
+    });
+    const [output] = render(limiter, [burstySignal(0.5)]);
+
+    assert.ok(peak(output) <= dbToGain(-20) + 1e-6);
+    assert.equal(limiter.processor.port.messages.length, 0);
+  });
+});
+
+describe('LimiterProcessor across sample rates', () => {
+  it('keeps the ceiling and the lookahead latency at every rate', () => {
+    for (const sampleRate of SAMPLE_RATES) {
+      const limiter = createLimiter({ sampleRate, params: { threshold: -12 }, options: { detectionMode: 'peak' } });
+      const [output] = render(limiter, [burstySignal(0.5, 5, sampleRate)]);
+      assert.ok(peak(output) <= dbToGain(-12) + 1e-6, `${sampleRate} Hz peaked at ${gainToDb(peak(output)).toFixed(2)} dB`);
+
+      const input = constant(0, sampleRate / 4);
+      input[1000] = 0.01;
+      const [delayed] = render(createLimiter({ sampleRate }), [input]);
+      assert.equal(delayed.findIndex((sample) => sample !== 0), 1000 + Math.round(0.01 * sampleRate), `${sampleRate} Hz`);
+    }
+  });
+
+  it('settles at the same level at every rate', () => {
+    for (const sampleRate of SAMPLE_RATES) {
+      const limiter = createLimiter({ sampleRate, params: { threshold: -20 } });
+      const [output] = render(limiter, [sine({ frequency: 1000, amplitude: 0.9, duration: 1, sampleRate })]);
+
+      const outputDb = gainToDb(rms(output, sampleRate / 2));
+      assert.ok(Math.abs(outputDb - -20) < 1, `${sampleRate} Hz settled at ${outputDb.toFixed(2)} dB`);
+    }
+  });
+
+  it('keeps attack and release times in real time', () => {
+    const attackTime = 0.015;
+    const releaseTime = 0.08;
+    const loud = 0.5;
+    const quiet = 0.01;
+
+    for (const sampleRate of SAMPLE_RATES) {
+      const limiter = createLimiter({ sampleRate, params: { threshold: -20, attackTime, releaseTime, rmsWindow: 0.0005 } });
+      const step = sampleRate / 2;
+      const [output] = render(limiter, [concat(constant(0, sampleRate / 10), constant(loud, step), constant(quiet, step))]);
+
+      const attackStart = sampleRate / 10;
+      const targetGain = dbToGain(-20 - gainToDb(loud));
+      const gainAfterAttack = output[attackStart + Math.round(attackTime * sampleRate)] / loud;
+      const attackRemaining = (gainAfterAttack - targetGain) / (1 - targetGain);
+      assert.ok(Math.abs(attackRemaining - Math.exp(-1)) < 0.05, `${sampleRate} Hz attack left ${attackRemaining.toFixed(3)}`);
+
+      const releaseStart = attackStart + step;
+      const gainAfterRelease = output[releaseStart + Math.round(releaseTime * sampleRate)] / quiet;
+      const releaseRemaining = (1 - gainAfterRelease) / (1 - targetGain);
+      assert.ok(Math.abs(releaseRemaining - Math.exp(-1)) < 0.05, `${sampleRate} Hz release left ${releaseRemaining.toFixed(3)}`);
+    }
+  });
+
+  it('clamps windows shorter than a sample to one sample', () => {
+    const limiter = createLimiter({ sampleRate: 16000, params: { threshold: -20, rmsWindow: 0, attackTime: 0 } });
+    const [output] = render(limiter, [constant(0.5, 16000)]);
+
+    assert.ok(output.every(Number.isFinite));
+    assert.ok(Math.abs(gainToDb(output[output.length - 1]) - -20) < 0.1);
+  });
+});
+
+describe('LimiterProcessor multiband mode', () => {
+  it('splits into bands that sum back flat', () => {
+    for (const frequency of [80, 200, 700, 1000, 3000, 9000]) {
+      const limiter = createLimiter({
+        params: { threshold: 0 },
+        options: { bandCount: 4, crossovers: [200, 1000, 4000], bands: [{ threshold: 0 }, { threshold: 0 }, { threshold: 0 }, { threshold: 0 }] },
+      });
+      const [output] = render(limiter, [sine({ frequency, amplitude: 0.5, duration: 0.5 })]);
+
+      const outputDb = gainToDb(rms(output, SAMPLE_RATE / 4));
+      assert.ok(Math.abs(outputDb - gainToDb(0.5 / Math.SQRT2)) < 0.05, `${frequency} Hz came out at ${outputDb.toFixed(3)} dB`);
+    }
+  });
+
+  it('clamps a low thump without ducking the voice band', () => {
+    const duration = 1;
+    const voice = sine({ frequency: 1000, amplitude: dbToGain(-26), duration });
+    const thump = sine({ frequency: 60, amplitude: 0.5, duration });
+    const input = voice.map((sample, i) => sample + (i >= SAMPLE_RATE / 2 ? thump[i] : 0));
+
+    const voiceDuringThump = (options) => {
+      const [output] = render(createLimiter({ params: { threshold: -18 }, options }), [input]);
+      return gainToDb(toneAmplitude(output, 1000, Math.round(0.8 * SAMPLE_RATE), SAMPLE_RATE));
+    };
+
+    const broadbandDb = voiceDuringThump(null);
+    const multibandDb = voiceDuringThump({ bandCount: 2, crossovers: [200], bands: [{ threshold: -24 }, { threshold: -18 }] });
+
+    assert.ok(broadbandDb < -26 - 6, `broadband voice at ${broadbandDb.toFixed(2)} dB`);
+    assert.ok(Math.abs(multibandDb - -26) < 0.5, `multiband voice at ${multibandDb.toFixed(2)} dB`);
+  });
+
+  it('keeps the overall ceiling in peak mode', () => {
+    const limiter = createLimiter({
+      params: { threshold: -12 },
+      options: { detectionMode: 'peak', bandCount: 3, bands: [{ threshold: -30 }, { threshold: -20 }, { threshold: -20 }] },
+    });
+    const [output] = render(limiter, [burstySignal(1, 7)]);
+
+    assert.ok(peak(output) <= dbToGain(-12) + 1e-6);
+  });
+
+  it('reports the reduction of every band in telemetry', () => {
+    const limiter = createLimiter({
+      params: { threshold: 0 },
+      options: { bandCount: 2, crossovers: [200], bands: [{ threshold: -30 }, { threshold: -30 }] },
+    });
+    render(limiter, [sine({ frequency: 60, amplitude: 0.5, duration: 0.5 })]);
+
+    const reports = limiter.processor.port.messages.filter((message) => message.type === 'telemetry');
+    const [low, high] = reports[reports.length - 1].bandReductionDb;
+    assert.ok(Math.abs(low - (gainToDb(0.5 / Math.SQRT2) - -30)) < 1, `low band reduced ${low.toFixed(2)} dB`);
+    assert.ok(high < 0.5, `high band reduced ${high.toFixed(2)} dB`);
+  });
+});
+
+/**
+ * Speech-like test signal: 1 kHz "syllables" at an RMS level with quiet noisy pauses between them
+ */
+function speechLike(levelDb, duration, seed = 3) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const amplitude = dbToGain(levelDb) * Math.SQRT2;
+  const syllable = Math.round(0.25 * SAMPLE_RATE);
+  const pause = Math.round(0.15 * SAMPLE_RATE);
+  const data = new Float32Array(Math.round(duration * SAMPLE_RATE));
+  for (let i = 0; i < data.length; i++) {
+    data[i] = i % (syllable + pause) < syllable
+      ? amplitude * Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE)
+      : dbToGain(-70) * (random() * 2 - 1);
+  }
+  return data;
+}
+
+describe('LimiterProcessor adaptive threshold', () => {
+  const lastReport = (limiter) => {
+    const reports = limiter.processor.port.messages.filter((message) => message.type === 'telemetry');
+    return reports[reports.length - 1];
+  };
+
+  it('sets the ceiling at an offset above the speech level', () => {
+    for (const levelDb of [-32, -16]) {
+      const limiter = createLimiter({
+        params: { threshold: -20 },
+        options: { thresholdMode: 'adaptive', adaptiveOffset: 6, minThreshold: -50, maxThreshold: -3, adaptationTime: 0.5 },
+      });
+      render(limiter, [speechLike(levelDb, 4)]);
+
+      const report = lastReport(limiter);
+      assert.ok(Math.abs(report.speechLevelDb - levelDb) < 1, `speech at ${report.speechLevelDb.toFixed(2)} dB`);
+      assert.ok(Math.abs(report.threshold - (levelDb + 6)) < 1, `threshold at ${report.threshold.toFixed(2)} dB`);
+    }
+  });
+
+  it('keeps the ceiling within its bounds', () => {
+    const options = { thresholdMode: 'adaptive', adaptiveOffset: 6, minThreshold: -36, maxThreshold: -12, adaptationTime: 0.5 };
+
+    const loud = createLimiter({ params: { threshold: -20 }, options });
+    const [output] = render(loud, [speechLike(-6, 3)]);
+    assert.equal(lastReport(loud).threshold, -12);
+    assert.ok(gainToDb(rms(output, 2.5 * SAMPLE_RATE, 2.7 * SAMPLE_RATE)) < -12 + 0.5);
+
+    const quiet = createLimiter({ params: { threshold: -20 }, options });
+    render(quiet, [speechLike(-50, 4)]);
+    assert.equal(lastReport(quiet).threshold, -36);
+  });
+
+  it('ignores steady noise and starts from the threshold param', () => {
+    let state = 5;
+    const noise = new Float32Array(2 * SAMPLE_RATE).map(() => {
+      state = (state * 16807) % 2147483647;
+      return dbToGain(-30) * (state / 2147483647 * 2 - 1);
+    });
+
+    const limiter = createLimiter({ params: { threshold: -20 }, options: { thresholdMode: 'adaptive', adaptationTime: 0.5 } });
+    render(limiter, [noise]);
+    const report = lastReport(limiter);
+    assert.ok(Math.abs(report.threshold - -20) < 1e-9, `threshold moved to ${report.threshold.toFixed(2)} dB`);
+    assert.equal(report.voiceActive, false);
+
+    const fixed = createLimiter({ params: { threshold: -20 } });
+    render(fixed, [noise]);
+    assert.equal(lastReport(fixed).threshold, -20);
+    assert.equal(lastReport(fixed).speechLevelDb, null);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installWebAudio } from './helpers/web-audio-shim.mjs';
+
+installWebAudio();
+const { PresetManager } = await import('../src/presets.js');
+const { ParameterError } = await import('../src/errors.js');
+
+const PAGE_URL = 'https://example.com/demo/';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+describe('PresetManager', () => {
+  it('drops unknown modes from shared links and imported presets', () => {
+    const presets = new PresetManager(memoryStorage());
+
+    const shared = presets.decodeFromURL(`${PAGE_URL}?detectionMode=loudest&threshold=-10&channelMode=independent`);
+    assert.deepEqual(shared, { threshold: -10, channelMode: 'independent' });
+
+    const [name] = presets.importPresets(JSON.stringify({
+      presets: { Odd: { threshold: -18, thresholdMode: 'sometimes', detectionMode: 'true-peak' } },
+    }));
+    assert.equal(presets.getPreset(name).thresholdMode, 'fixed');
+    assert.equal(presets.getPreset(name).detectionMode, 'true-peak');
+  });
+
+  it('round-trips a multiband setup through saving, export and share links', () => {
+    const presets = new PresetManager(memoryStorage());
+    const multiband = {
+      ...presets.getPreset('Default'),
+      bandCount: 3,
+      crossovers: [150, 2500, 6000],
+      bands: [
+        { threshold: -30, attackTime: 5, releaseTime: 200 },
+        { threshold: -22, attackTime: 15, releaseTime: 80 },
+        { threshold: -26, attackTime: 2.5, releaseTime: 60 },
+        { threshold: -20, attackTime: 15, releaseTime: 80 },
+      ],
+    };
+
+    presets.savePreset('Three bands', multiband);
+    assert.deepEqual(presets.getPreset('Three bands'), multiband);
+
+    const imported = new PresetManager(memoryStorage());
+    imported.importPresets(presets.exportPresets());
+    assert.deepEqual(imported.getPreset('Three bands'), multiband);
+
+    assert.deepEqual(presets.decodeFromURL(presets.encodeToURL(multiband, PAGE_URL)), multiband);
+  });
+
+  it('drops multiband settings that are incomplete or out of order', () => {
+    const presets = new PresetManager(memoryStorage());
+    const clean = presets.sanitize({
+      bandCount: 2.5,
+      crossovers: [1000, 200, 4000],
+      bands: [{ threshold: -20, attackTime: 15, releaseTime: 80 }],
+    });
+    assert.deepEqual(clean, {});
+
+    const shared = presets.decodeFromURL(`${PAGE_URL}?bandCount=6&crossovers=200,1000&bands=-20:15:80,-20:15,x,-20:15:80&threshold=-18`);
+    assert.deepEqual(shared, { threshold: -18 });
+
+    // Presets without multiband settings load as broadband
+    const [name] = presets.importPresets(JSON.stringify({ presets: { Old: { threshold: -18 } } }));
+    assert.equal(presets.getPreset(name).bandCount, 1);
+  });
+
+  it('rejects files without a presets object', () => {
+    const presets = new PresetManager(memoryStorage());
+
+    for (const json of ['{"presets":null}', '{"presets":[]}', 'null', '{"presets":"Default"}']) {
+      assert.throws(() => presets.importPresets(json), ParameterError, json);
+    }
+    assert.throws(() => presets.savePreset('Default', {}), ParameterError);
+  });
+
+  it('stores presets named like object properties as ordinary presets', () => {
+    const storage = memoryStorage();
+    const presets = new PresetManager(storage);
+
+    assert.equal(presets.getPreset('constructor'), null);
+    const imported = presets.importPresets('{"presets":{"__proto__":{"threshold":-30},"constructor":{"threshold":-25}}}');
+
+    assert.deepEqual(imported.sort(), ['__proto__', 'constructor']);
+    assert.equal(presets.getPreset('__proto__').threshold, -30);
+    assert.equal(presets.getPreset('constructor').threshold, -25);
+    assert.equal({}.threshold, undefined);
+
+    const reloaded = new PresetManager(storage);
+    assert.equal(reloaded.getPreset('__proto__').threshold, -30);
+    assert.ok(reloaded.deletePreset('constructor'));
+    assert.deepEqual(reloaded.getPresetNames().slice(-1), ['__proto__']);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installWebAudio, MockAudioContext, MockAudioNode } from './helpers/web-audio-shim.mjs';
+
+installWebAudio();
+const { VoiceLimiterHub } = await import('../src/voice-limiter-hub.js');
+
+describe('VoiceLimiterHub', () => {
+  it('can be initialized again after the master limiter fails to load', async () => {
+    const context = new MockAudioContext({ failModuleLoad: true });
+    const hub = new VoiceLimiterHub();
+
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      await assert.rejects(hub.initialize(context));
+    } finally {
+      console.error = consoleError;
+    }
+
+    assert.equal(hub.audioCtx, null);
+    await assert.rejects(hub.addSource('alice', new MockAudioNode(context)), /must be initialized/);
+
+    context.failModuleLoad = false;
+    await hub.initialize(context);
+    assert.equal(hub.master.state, 'active');
+    assert.ok(hub.mixBus.connections.has(hub.master.limiterNode));
+
+    const voice = await hub.addSource('alice', new MockAudioNode(context));
+    assert.equal(voice.state, 'active');
+  });
+
+  it('resolves null for a source removed while its limiter loads', async () => {
+    const context = new MockAudioContext();
+    const hub = new VoiceLimiterHub();
+    await hub.initialize(context);
+
+    const adding = hub.addSource('alice', new MockAudioNode(context));
+    hub.removeSource('alice');
+
+    assert.equal(await adding, null);
+    assert.deepEqual(hub.getSourceIds(), []);
+  });
+
+  it('keeps a source re-added under the same id while the first one loads', async () => {
+    const context = new MockAudioContext();
+    const hub = new VoiceLimiterHub();
+    await hub.initialize(context);
+
+    const first = hub.addSource('alice', new MockAudioNode(context));
+    hub.removeSource('alice');
+    const second = hub.addSource('alice', new MockAudioNode(context));
+
+    assert.equal(await first, null);
+    const voice = await second;
+    assert.equal(voice.state, 'active');
+    assert.equal(hub.getSource('alice'), voice);
+  });
+});
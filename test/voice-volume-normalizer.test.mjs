@@ -0,0 +1,237 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installWebAudio, MockAudioContext, MockAudioNode } from './helpers/web-audio-shim.mjs';
+import { ParameterError, StateError, InitializationError } from '../src/errors.js';
+
+installWebAudio();
+const { VoiceVolumeNormalizer, validateParameters } = await import('../src/audio-processor.js');
+
+/**
+ * Collect the normalizer's lifecycle states as they change
+ */
+function trackStates(normalizer) {
+  const states = [];
+  normalizer.addEventListener('statechange', (event) => states.push(event.detail.state));
+  return states;
+}
+
+describe('VoiceVolumeNormalizer parameters', () => {
+  it('clamps out-of-range values to the valid range', () => {
+    const normalizer = new VoiceVolumeNormalizer();
+    normalizer.updateParameters({ attackTime: -5, ratio: Infinity, rmsWindow: 0, mix: 150, threshold: 6, bandCount: 9 });
+
+    const params = normalizer.getParameters();
+    assert.equal(params.attackTime, 0.1);
+    assert.equal(params.ratio, 100);
+    assert.equal(params.rmsWindow, 0.5);
+    assert.equal(params.mix, 100);
+    assert.equal(params.threshold, 0);
+    assert.equal(params.bandCount, 4);
+  });
+
+  it('rejects unusable values without applying any of the set', () => {
+    const normalizer = new VoiceVolumeNormalizer();
+
+    assert.throws(() => normalizer.updateParameters({ knee: 6, releaseTime: 'fast' }), (error) => {
+      assert.ok(error instanceof ParameterError);
+      assert.equal(error.code, 'invalid-parameter');
+      assert.equal(error.parameter, 'releaseTime');
+      return true;
+    });
+    assert.equal(normalizer.getParameters().knee, 0);
+
+    assert.throws(() => normalizer.updateParameters({ threshold: NaN }), ParameterError);
+    assert.throws(() => normalizer.updateParameters({ detectionMode: 'loudest' }), ParameterError);
+    assert.throws(() => normalizer.updateParameters({ detectionSource: 'sidechain' }), ParameterError);
+    assert.throws(() => normalizer.updateBand(0, { attackTime: NaN }), /bands\[0\]\.attackTime/);
+    assert.throws(() => normalizer.updateBand(7, { threshold: -20 }), ParameterError);
+    assert.throws(() => new VoiceVolumeNormalizer(-20, { channelCount: 0 }), ParameterError);
+  });
+
+  it('applies the detection source like any other setting', () => {
+    const normalizer = new VoiceVolumeNormalizer();
+    const changes = [];
+    normalizer.addEventListener('parameterchange', (event) => changes.push(event.detail.changes));
+
+    normalizer.updateParameters({ detectionSource: 'external', knee: 6 });
+
+    assert.equal(normalizer.detectionSource, 'external');
+    assert.deepEqual(changes, [{ detectionSource: 'external', knee: 6 }]);
+  });
+
+  it('draws the transfer curve at the effective threshold in adaptive mode', () => {
+    const normalizer = new VoiceVolumeNormalizer();
+    normalizer.updateParameters({ threshold: -20, ratio: 100, knee: 0, maxBoost: 0 });
+    const outputAt = (inputDb) => normalizer.getTransferCurve({ minDb: inputDb, maxDb: inputDb })[0].y;
+
+    assert.equal(outputAt(-6), -20);
+
+    normalizer.handleWorkletMessage({ type: 'telemetry', threshold: -12 });
+    assert.equal(outputAt(-6), -20, 'fixed mode ignores the reported threshold');
+
+    normalizer.updateParameters({ thresholdMode: 'adaptive' });
+    assert.equal(outputAt(-6), -12);
+  });
+
+  it('rejects bypass calls that would be coerced or can\'t be scheduled', async () => {
+    const normalizer = new VoiceVolumeNormalizer();
+    await normalizer.initialize(new MockAudioContext());
+
+    assert.throws(() => normalizer.setBypass('yes'), ParameterError);
+    assert.throws(() => normalizer.setBypass(1), ParameterError);
+    assert.throws(() => normalizer.setBypass(true, { fadeTime: -5 }), /fadeTime/);
+    assert.throws(() => normalizer.setBypass(true, { fadeTime: NaN }), ParameterError);
+    assert.equal(normalizer.isBypassed, false);
+
+    normalizer.setBypass(true, { fadeTime: 0 });
+    assert.equal(normalizer.getParam('bypass').value, 1);
+  });
+
+  it('keeps empty band and crossover entries as "unchanged"', () => {
+    const clean = validateParameters({ crossovers: [undefined, 5], bands: [null, { threshold: -200, extra: 1 }] });
+
+    assert.deepEqual(clean.crossovers, [undefined, 20]);
+    assert.deepEqual(clean.bands, [undefined, { threshold: -100 }]);
+  });
+});
+
+describe('VoiceVolumeNormalizer lifecycle', () => {
+  it('moves through its states with statechange events', async () => {
+    const context = new MockAudioContext();
+    const normalizer = new VoiceVolumeNormalizer();
+    const states = trackStates(normalizer);
+
+    assert.equal(normalizer.state, 'uninitialized');
+    assert.throws(() => normalizer.enable(new MockAudioNode(context), context.destination), StateError);
+
+    await normalizer.initialize(context);
+    await normalizer.initialize(context); // same context: nothing to do
+    normalizer.enable(new MockAudioNode(context), context.destination);
+    assert.equal(normalizer.isActive, true);
+    normalizer.disable();
+    normalizer.destroy();
+
+    assert.deepEqual(states, ['loading', 'ready', 'active', 'ready', 'destroyed']);
+    assert.equal(normalizer.limiterNode, null);
+  });
+
+  it('re-initializes on a new context after its context closes or it is destroyed', async () => {
+    const first = new MockAudioContext();
+    const normalizer = new VoiceVolumeNormalizer(-24);
+    const reasons = [];
+    normalizer.addEventListener('statechange', (event) => reasons.push(event.detail.reason));
+
+    await normalizer.initialize(first);
+    normalizer.enable(new MockAudioNode(first), first.destination);
+    await first.close();
+
+    assert.equal(normalizer.state, 'uninitialized');
+    assert.equal(reasons[reasons.length - 1], 'context-closed');
+    await assert.rejects(normalizer.initialize(first), StateError);
+
+    const second = new MockAudioContext({ sampleRate: 16000 });
+    await normalizer.initialize(second);
+    assert.equal(normalizer.state, 'ready');
+    assert.equal(normalizer.limiterNode.context, second);
+    assert.equal(normalizer.getParam('threshold').value, -24, 'settings carry over to the new node');
+
+    // A different context while ready moves the limiter there
+    const third = new MockAudioContext();
+    await normalizer.initialize(third);
+    assert.equal(normalizer.limiterNode.context, third);
+
+    normalizer.destroy();
+    await normalizer.initialize(new MockAudioContext());
+    assert.equal(normalizer.state, 'ready');
+  });
+
+  it('sends its settings to a new node without announcing them as changes', async () => {
+    const normalizer = new VoiceVolumeNormalizer(-26);
+    const changes = [];
+    normalizer.addEventListener('parameterchange', (event) => changes.push(event.detail.changes));
+
+    await normalizer.initialize(new MockAudioContext());
+    await normalizer.initialize(new MockAudioContext());
+
+    assert.deepEqual(changes, []);
+    assert.equal(normalizer.getParam('threshold').value, -26);
+  });
+
+  it('pauses as interrupted while its context is interrupted', async () => {
+    const context = new MockAudioContext();
+    const normalizer = new VoiceVolumeNormalizer();
+    const reasons = [];
+    normalizer.addEventListener('statechange', (event) => reasons.push(event.detail.reason));
+
+    await normalizer.initialize(context);
+    normalizer.enable(new MockAudioNode(context), context.destination);
+
+    context.setState('interrupted');
+    assert.equal(normalizer.state, 'interrupted');
+    assert.equal(normalizer.isActive, false);
+    assert.equal(normalizer.isWorkletLoaded, true);
+
+    context.setState('suspended');
+    assert.equal(normalizer.state, 'interrupted');
+
+    context.setState('running');
+    assert.equal(normalizer.state, 'active');
+    assert.deepEqual(reasons.slice(-2), ['context-interrupted', 'context-resumed']);
+
+    // Disabling during an interruption unwires the limiter as usual
+    context.setState('interrupted');
+    normalizer.disable();
+    context.setState('running');
+    assert.equal(normalizer.state, 'ready');
+  });
+
+  it('keeps the detection source through teardown and waits for a new key after a rebuild', async () => {
+    const normalizer = new VoiceVolumeNormalizer();
+    await normalizer.initialize(new MockAudioContext());
+    normalizer.setDetectionSource('external');
+
+    const changes = [];
+    normalizer.addEventListener('parameterchange', (event) => changes.push(event.detail.changes));
+    normalizer.destroy();
+
+    assert.equal(normalizer.detectionSource, 'external');
+    assert.deepEqual(changes, []);
+
+    const context = new MockAudioContext();
+    await normalizer.initialize(context);
+    const sources = () => normalizer.limiterNode.port.messages
+      .filter((message) => 'detectionSource' in message)
+      .map((message) => message.detectionSource);
+    assert.deepEqual(sources(), ['internal']);
+
+    normalizer.connectSidechain(new MockAudioNode(context), { external: false });
+    assert.deepEqual(sources(), ['internal', 'external']);
+  });
+
+  it('reports worklet load failures and can be retried', async () => {
+    const context = new MockAudioContext({ failModuleLoad: true });
+    const normalizer = new VoiceVolumeNormalizer();
+    const errors = [];
+    normalizer.addEventListener('error', (event) => errors.push(event.detail.error));
+
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      await assert.rejects(normalizer.initialize(context), (error) => {
+        assert.ok(error instanceof InitializationError);
+        assert.equal(error.code, 'worklet-load-failed');
+        return true;
+      });
+    } finally {
+      console.error = consoleError;
+    }
+
+    assert.equal(normalizer.state, 'uninitialized');
+    assert.equal(errors.length, 1);
+
+    context.failModuleLoad = false;
+    await normalizer.initialize(context);
+    assert.equal(normalizer.state, 'ready');
+  });
+});